@@ -0,0 +1,34 @@
+'use strict';
+
+// Error codes used by Lucius itself. They are added to the registry without
+// a namespace when the error module is loaded, so plugins can't reuse them.
+module.exports = {
+    VALIDATION_FAILED: {
+        message: {en: 'Input arguments failed schema validation.'},
+        httpStatus: 400,
+    },
+    INVALID_OUTPUT: {
+        message: {en: 'Returned payload failed schema validation.'},
+        httpStatus: 500,
+    },
+    HANDLER_TIMEOUT: {
+        message: {en: 'Handler did not respond within {timeout}ms.'},
+        httpStatus: 504,
+    },
+    CIRCUIT_OPEN: {
+        message: {en: 'Circuit breaker for {pattern} is open.'},
+        httpStatus: 503,
+    },
+    UNAUTHENTICATED: {
+        message: {en: 'Authentication is required for {pattern}.'},
+        httpStatus: 401,
+    },
+    FORBIDDEN: {
+        message: {en: 'Not allowed to access {pattern}.'},
+        httpStatus: 403,
+    },
+    RATE_LIMITED: {
+        message: {en: 'Too many requests for {pattern}.'},
+        httpStatus: 429,
+    },
+};
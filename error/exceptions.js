@@ -1,29 +1,50 @@
 'use strict';
 const factory = require('./factory');
 const registry = require('./registry');
+const locale = require('./locale');
 
 // XXX: We're keeping the error constructor as a standalone function so that
 // we can point it out to Error.captureStackTrace() to omit from the trace.
-function LuciusErrorConstructor(msgCode, interpolationValues = {}) {
+function LuciusErrorConstructor(msgCode, interpolationValues = {}, desiredLocale = null) {
     if (typeof msgCode !== 'string') {
         if (msgCode && typeof msgCode === 'object') {
             msgCode = msgCode.code;
         }
     }
-    if (!registry.hasOwnProperty(msgCode)) {
+    // resolve against the live registry, since codes can be added at runtime
+    const errorDefinition = registry.get(msgCode);
+    if (!errorDefinition) {
         throw new Error(`Unknown message code '${msgCode}'.`);
     }
-    const errorDefinition = registry[msgCode];
     this.code = errorDefinition.code;
-    this.message = errorDefinition.message(interpolationValues);
+    // keep the interpolation values around (but out of serialization),
+    // so the message can be localized again later, see localize()
+    Object.defineProperty(this, 'interpolationValues', {value: interpolationValues});
+    this.localize(desiredLocale);
     // XXX: This is the right place to attach the stack to the error, because
     // this function is executed every time someone does `new MyError()`, so
     // the stack will cover the place where `new` happens.
     Error.captureStackTrace(this, LuciusErrorConstructor);
 }
 
+const LuciusError = factory('LuciusError', LuciusErrorConstructor);
+
+/**
+ * (Re)generate the error message in the given locale. Errors whose definition
+ * message is a plain function are not localized and keep locale undefined.
+ * @param {string} [desiredLocale=null] Desired locale, falls back to the default one.
+ * @param {object} [logger] Logger that missing translations are reported to, see locale.resolve().
+ * @returns {LuciusError} Self-reference, for method chaining.
+ */
+LuciusError.prototype.localize = function (desiredLocale = null, logger = undefined) {
+    const resolved = locale.resolve(registry.get(this.code), this.interpolationValues, desiredLocale, logger);
+    this.message = resolved.message;
+    this.locale = resolved.locale;
+    return this;
+};
+
 module.exports = {
-    LuciusError: factory('LuciusError', LuciusErrorConstructor),
+    LuciusError,
     LuciusSmuggleError: factory('LuciusSmuggleError', function (smuggledMessage) {
         this.message = smuggledMessage;
         this.stack = (new Error('smuggling a failure message, ignore me')).stack;
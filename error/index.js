@@ -1,6 +1,7 @@
 'use strict';
 const LUCIUS_ERROR_MARKER = 'lucius';
 const registry = require('./registry');
+registry.define(require('./definitions'));
 const {LuciusError, LuciusSmuggleError} = require('./exceptions');
 
 module.exports = {
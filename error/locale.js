@@ -0,0 +1,84 @@
+'use strict';
+const logger = require('../modules/logger');
+
+let defaultLocale = process.env.LUCIUS_DEFAULT_LOCALE || 'en';
+
+/**
+ * Replace `{name}` placeholders in a template with the matching values.
+ * Placeholders without a value are left untouched.
+ * @param {string} template Message template.
+ * @param {object} [values={}] Interpolation values.
+ * @returns {string}
+ */
+const interpolate = (template, values = {}) =>
+    template.replace(/\{(\w+)\}/g, (match, name) =>
+        values && values.hasOwnProperty(name) ? String(values[name]) : match);
+
+/**
+ * Render one message variant, which can be either a template or a function.
+ * @param {string|function} variant Template string or function(values) returning string.
+ * @param {object} values Interpolation values.
+ * @returns {string}
+ */
+const render = (variant, values) =>
+    typeof variant === 'function' ? variant(values) : interpolate(variant, values);
+
+/**
+ * Resolve the message of an error definition in the desired locale.
+ * Definitions whose message is a function are not localized. Definitions whose
+ * message is a map of locale to template fall back to the default locale (and
+ * then to the first locale available) when a translation is missing.
+ * @param {object} definition Error registry definition.
+ * @param {object} [values={}] Interpolation values.
+ * @param {string} [locale=null] Desired locale. Uses the default if missing.
+ * @param {object} [log] Logger that missing translations are reported to. Defaults to the shared one.
+ * @returns {{message: string, locale: (string|undefined)}}
+ */
+const resolve = (definition, values = {}, locale = null, log = logger) => {
+    const message = definition.message;
+    if (typeof message === 'function') {
+        return {message: message(values), locale: undefined};
+    }
+    let resolved = locale || defaultLocale;
+    if (!message.hasOwnProperty(resolved)) {
+        const fallback = message.hasOwnProperty(defaultLocale) ? defaultLocale : Object.keys(message)[0];
+        log.warning.format('LUCIUS', 'LOCALE', definition.code, `missing '${resolved}', using '${fallback}'`);
+        resolved = fallback;
+    }
+    return {message: render(message[resolved], values), locale: resolved};
+};
+
+/**
+ * Perform sanity checks on a message map of locale to template.
+ * @param {string} code The error code, for error messages.
+ * @param {object} message The message map.
+ * @throws {TypeError} If the map is empty or any template is malformed.
+ */
+const validate = (code, message) => {
+    const locales = Object.keys(message);
+    if (!locales.length) {
+        throw new TypeError(`Property 'message' for error ${code} has no locales.`);
+    }
+    locales.forEach(locale => {
+        const variant = message[locale];
+        if (typeof variant !== 'string' && typeof variant !== 'function') {
+            throw new TypeError(`Message '${locale}' for error ${code} is not a string or function.`);
+        }
+        if (typeof render(variant, {}) !== 'string') {
+            throw new TypeError(`Message '${locale}' for error ${code} is not returning string.`);
+        }
+    });
+};
+
+module.exports = {
+    interpolate,
+    resolve,
+    validate,
+    getDefaultLocale: () => defaultLocale,
+    setDefaultLocale: locale => {
+        if (typeof locale !== 'string' || !locale) {
+            throw new TypeError('Locale must be a non-empty string.');
+        }
+        defaultLocale = locale;
+    },
+};
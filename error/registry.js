@@ -1,21 +1,115 @@
 'use strict';
-const registry = require('./definitions');
+const locale = require('./locale');
 
-for (let key in registry) {
-    if (registry.hasOwnProperty(key)) {
-        // perform sanity checks
-        if (typeof registry[key].message !== 'function') {
-            throw new TypeError(`Property 'message' for error ${key} is not a function.`);
-        }
-        if (typeof registry[key].message({}) !== 'string') {
-            throw new TypeError(`Property 'message' for error ${key} is not returning string.`);
+// The registry is a plain object keyed by error code, so that definitions can
+// be referenced as `E.SOME_CODE`. The methods used to manage it are attached
+// as non-enumerable properties, so iterating the registry only yields codes.
+const registry = {};
+
+/**
+ * Perform sanity checks on an error definition.
+ * @param {string} code The full error code.
+ * @param {object} definition The error definition.
+ * @throws {TypeError} If the definition is malformed.
+ */
+const validate = (code, definition) => {
+    if (!definition || typeof definition !== 'object') {
+        throw new TypeError(`Definition for error ${code} is not an object.`);
+    }
+    if (definition.message && typeof definition.message === 'object') {
+        return locale.validate(code, definition.message);
+    }
+    if (typeof definition.message !== 'function') {
+        throw new TypeError(`Property 'message' for error ${code} is not a function or a map of locales.`);
+    }
+    if (typeof definition.message({}) !== 'string') {
+        throw new TypeError(`Property 'message' for error ${code} is not returning string.`);
+    }
+};
+
+/**
+ * Add an error definition to the registry.
+ * @param {string} code Machine-readable error code.
+ * @param {object} definition Object with a `message(interpolationValues)` function
+ *   returning string, or a `message` map of locale to template (eg. `{en: 'User {id} not found'}`),
+ *   and any extra properties (eg. `httpStatus`).
+ * @param {string} [namespace=null] Optionally prefix the code with a namespace
+ *   (usually the plugin name), as `namespace.code`.
+ * @returns {object} The registered definition.
+ * @throws {Error} If the code is already registered.
+ */
+const register = (code, definition, namespace = null) => {
+    if (typeof code !== 'string' || !code) {
+        throw new TypeError('Error code must be a non-empty string.');
+    }
+    if (namespace !== null && (typeof namespace !== 'string' || !namespace)) {
+        throw new TypeError('Error namespace must be a non-empty string.');
+    }
+    const fullCode = namespace ? `${namespace}.${code}` : code;
+    if (registry.hasOwnProperty(fullCode)) {
+        const owner = registry[fullCode] && registry[fullCode].namespace;
+        throw new Error(`Error code '${fullCode}' is already registered` + (owner ? ` by '${owner}'.` : '.'));
+    }
+    validate(fullCode, definition);
+    // copy the error key inside the definition,
+    // so it can be retrieved programatically
+    registry[fullCode] = Object.assign({}, definition, {code: fullCode, namespace});
+    return registry[fullCode];
+};
+
+/**
+ * Add several error definitions to the registry at once.
+ * @param {object} definitions Error definitions keyed by code.
+ * @param {string} [namespace=null] Optional namespace for all the codes.
+ * @returns {object} The registered definitions, keyed by the codes as given.
+ */
+const define = (definitions, namespace = null) => {
+    if (!definitions || typeof definitions !== 'object') {
+        throw new TypeError('Error definitions must be an object.');
+    }
+    const out = {};
+    for (let key in definitions) {
+        if (definitions.hasOwnProperty(key)) {
+            out[key] = register(key, definitions[key], namespace);
         }
-        // copy the error key inside the definition,
-        // so it can be retrieved programatically
-        registry[key].code = key;
-        // our marker
-        registry[key].foo = 'bar';
     }
-}
+    return out;
+};
+
+/**
+ * Retrieve an error definition.
+ * @param {string} code Full error code.
+ * @returns {object|undefined} The definition, if registered.
+ */
+const get = code =>
+    typeof code === 'string' && registry.propertyIsEnumerable(code) ? registry[code] : undefined;
+
+/**
+ * Check whether an error code is registered.
+ * @param {string} code Full error code.
+ * @returns {boolean}
+ */
+const has = code => !!get(code);
+
+/**
+ * Get a view of the registry that works inside a namespace.
+ * @param {string} name The namespace, usually the plugin name.
+ * @returns {object} An object with `register`, `define`, `get` and `has`
+ *   that implicitly use the namespace.
+ */
+const namespace = name => ({
+    register: (code, definition) => register(code, definition, name),
+    define: definitions => define(definitions, name),
+    get: code => get(`${name}.${code}`),
+    has: code => has(`${name}.${code}`),
+});
+
+Object.defineProperties(registry, {
+    register: {value: register},
+    define: {value: define},
+    get: {value: get},
+    has: {value: has},
+    namespace: {value: namespace},
+});
 
 module.exports = registry;
@@ -1,11 +1,25 @@
 'use strict';
 const {E, LuciusError, isLuciusError, LUCIUS_ERROR_MARKER} = require('./error');
 const Lucius = require('./modules/lucius');
+const LuciusMessage = require('./modules/message');
+const LuciusMetrics = require('./modules/metrics');
+const {createLogger} = require('./modules/logger');
+const LuciusRedactor = require('./modules/redact');
+const generateOpenApi = require('./modules/openapi');
+const LuciusContractRecorder = require('./modules/contracts');
+const LuciusMemoryStore = require('./modules/store');
 
 module.exports = {
     E,
     LuciusError,
     Lucius,
+    LuciusMessage,
+    LuciusMetrics,
+    createLogger,
+    LuciusRedactor,
+    generateOpenApi,
+    LuciusContractRecorder,
+    LuciusMemoryStore,
     isLuciusError,
     LUCIUS_ERROR_MARKER,
 };
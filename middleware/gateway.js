@@ -0,0 +1,205 @@
+'use strict';
+const Lucius = require('../modules/lucius');
+const util = require('../modules/util');
+const tracing = require('../modules/tracing');
+const {E} = require('../error');
+const {failureStatus, fatalStatus, PARTIAL_STATUS, warningHeader, retryAfterHeader} = require('./status');
+
+// places where the Seneca instance is looked up, by default, on the Express
+// request or the Koa context
+const DEFAULT_SENECA_PATHS = ['seneca', '__.seneca', 'state.seneca', 'app.locals.seneca', 'app.context.seneca'];
+
+/**
+ * Default session info: the user, session and locale found in `__` (on the request,
+ * or in the Koa state), the trace context from the W3C traceparent header, and the
+ * idempotency key from the Idempotency-Key header.
+ * @param {object} source Express request or Koa context.
+ * @returns {object}
+ */
+const defaultUserInfo = source => {
+    const info = util.objectFilter(source.__ || source.state && source.state.__ || {},
+        {user: true, session: true, locale: true});
+    const headers = source.headers || {};
+    const trace = tracing.fromTraceparent(headers.traceparent);
+    if (trace) {
+        info.trace = trace;
+    }
+    if (headers['idempotency-key']) {
+        info.idempotencyKey = headers['idempotency-key'];
+    }
+    return info;
+};
+
+/**
+ * Default error body: `{success: false, errors: [{code, message, ...}]}`.
+ * @param {ErrorEntry[]} errors
+ * @returns {object}
+ */
+const defaultRenderErrors = errors => ({
+    success: false,
+    errors: renderEntries(errors),
+});
+
+const renderEntries = entries => entries.map(({code, message, locale, details, path}) => ({code, message, locale, details, path}));
+
+/**
+ * Default partial success body: `{success: true, payload, errors: [{code, message, path, ...}], warnings}`.
+ * @param {any} payload
+ * @param {ErrorEntry[]} errors Per-item errors.
+ * @param {ErrorEntry[]} warnings
+ * @returns {object}
+ */
+const defaultRenderPartial = (payload, errors, warnings) => ({
+    success: true,
+    payload,
+    errors: renderEntries(errors),
+    warnings: renderEntries(warnings),
+});
+
+/**
+ * Create an HTTP gateway that turns HTTP requests into Lucius requests.
+ * @param {object} [options={}] Gateway options.
+ * @param {object|function|string[]} [options.seneca] The Seneca instance, a function(source)
+ *   returning it, or a list of dot-separated paths where to look for it on the Express
+ *   request or the Koa context. Defaults to `seneca`, `__.seneca`, `state.seneca`,
+ *   `app.locals.seneca` and `app.context.seneca`.
+ * @param {function} [options.userInfo] Function(source) returning the session info to pass
+ *   along in `__`. Defaults to the user, session and locale in `__`, and the traceparent and
+ *   Idempotency-Key headers.
+ * @param {object} [options.statuses={}] HTTP statuses keyed by error code. They take
+ *   precedence over the `httpStatus` of the error registry definitions.
+ * @param {function} [options.renderErrors] Function(errors, status) returning the body
+ *   of error responses. Defaults to `{success: false, errors: [{code, message, ...}]}`.
+ * @param {function} [options.renderPartial] Function(payload, errors, warnings) returning the body
+ *   of partially successful responses, which have status 207. Defaults to
+ *   `{success: true, payload, errors: [{code, message, path, ...}], warnings}`.
+ * @param {Lucius|object} [options.lucius={}] The Lucius instance to use for all requests
+ *   (the seneca option is ignored then), or options for the Lucius instances that the
+ *   gateway makes, one per Seneca instance.
+ * @returns {{express: function, koa: function, run: function, failure: function, getLucius: function}}
+ */
+const createGateway = (options = {}) => {
+    const {
+        seneca = DEFAULT_SENECA_PATHS,
+        userInfo = defaultUserInfo,
+        statuses = {},
+        renderErrors = defaultRenderErrors,
+        renderPartial = defaultRenderPartial,
+        lucius: luciusOptions = {},
+    } = options;
+    // we keep one Lucius instance per Seneca instance, so that
+    // breakers, metrics and so on survive between requests
+    const instances = new WeakMap();
+
+    const getLucius = source => {
+        if (luciusOptions instanceof Lucius) {
+            return luciusOptions;
+        }
+        let instance = seneca;
+        if (typeof seneca === 'function') {
+            instance = seneca(source);
+        }
+        else if (Array.isArray(seneca)) {
+            instance = seneca.map(path => util.lookup(source, path)).find(found => found);
+        }
+        if (!instance || typeof instance.act !== 'function') {
+            throw new Error('Seneca instance not found.');
+        }
+        if (!instances.has(instance)) {
+            instances.set(instance, new Lucius(instance, luciusOptions));
+        }
+        return instances.get(instance);
+    };
+
+    /**
+     * Decide the HTTP response for a business failure.
+     * @param {ErrorEntry[]|LuciusError[]} errors
+     * @returns {{status: number, body: any, success: boolean, headers: object}}
+     */
+    const failure = errors => {
+        const status = failureStatus(errors, statuses);
+        const retryAfter = retryAfterHeader(errors);
+        return {status, body: renderErrors(errors, status), success: false, headers: retryAfter ? {'Retry-After': retryAfter} : {}};
+    };
+
+    /**
+     * Perform the Seneca request and decide the HTTP response.
+     * @param {object} source Express request or Koa context.
+     * @param {string} pattern Seneca message pattern.
+     * @param {object|function} params Seneca message parameters. Either object, or
+     *   a (possibly async) function that will receive source and return a parameter object.
+     * @returns {Promise<{status: number, body: any, success: boolean, partial: boolean, headers: object}>}
+     *   Warnings are passed in a Warning header.
+     */
+    const run = async (source, pattern, params) => {
+        const lucius = getLucius(source);
+        // make sure params is never undefined, and leave out the Seneca core arguments,
+        // so that the session info can only come from userInfo, and the pattern from pattern
+        params = util.filterCoreArgs(Object.assign({}, typeof params === 'function' ? await params(source) : params));
+        try {
+            const response = await lucius.request(pattern, params, userInfo(source));
+            const warnings = response.getWarnings();
+            const headers = warnings.length ? {Warning: warningHeader(warnings)} : {};
+            if (!response.isSuccessful()) {
+                const result = failure(response.getErrors());
+                return Object.assign(result, {headers: Object.assign(result.headers, headers)});
+            }
+            if (response.isPartial()) {
+                const body = renderPartial(response.getPayload(), response.getItemErrors(), warnings);
+                return {status: PARTIAL_STATUS, body, success: true, partial: true, headers};
+            }
+            return {status: 200, body: response.getPayload(), success: true, partial: false, headers};
+        } catch (e) {
+            const fatal = lucius.getFatalError(e);
+            const status = fatalStatus(fatal, statuses);
+            lucius.logger.error.format('HTTP', 'FATAL', pattern, undefined, fatal);
+            // only registered errors have messages that are safe to show
+            const code = fatal && E.has(fatal.code) ? fatal.code : 'INTERNAL_ERROR';
+            const message = code === 'INTERNAL_ERROR' ? 'Internal error.' : fatal.message;
+            return {status, body: renderErrors([{code, message}], status), success: false, headers: {}};
+        }
+    };
+
+    return {
+        run,
+        failure,
+        getLucius,
+        /**
+         * Express middleware.
+         * @param {string} pattern Seneca message pattern.
+         * @param {object|function} params Seneca message parameters, see run().
+         * @param {function} [onSuccess=null] Function(res, payload, req) that sets the
+         *   response on (full) success. The default sets status 200 and the body to the payload.
+         * @returns {function} Express middleware.
+         */
+        express: (pattern, params, onSuccess = null) => function (req, res, next) {
+            return run(req, pattern, params).then(({status, body, success, partial, headers}) => {
+                Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+                if (success && !partial && onSuccess) {
+                    return onSuccess(res, body, req);
+                }
+                return res.status(status).json(body);
+            }).catch(next);
+        },
+        /**
+         * Koa middleware.
+         * @param {string} pattern Seneca message pattern.
+         * @param {object|function} params Seneca message parameters, see run().
+         * @param {function} [onSuccess=null] Function(ctx, payload) that sets the
+         *   response on (full) success. The default sets status 200 and the body to the payload.
+         * @returns {function} Koa middleware.
+         */
+        koa: (pattern, params, onSuccess = null) => async function (ctx) {
+            const {status, body, success, partial, headers} = await run(ctx, pattern, params);
+            Object.keys(headers).forEach(name => ctx.set(name, headers[name]));
+            if (success && !partial && onSuccess) {
+                return onSuccess(ctx, body);
+            }
+            ctx.status = status;
+            ctx.body = body;
+        },
+    };
+};
+
+module.exports = createGateway;
+module.exports.DEFAULT_SENECA_PATHS = DEFAULT_SENECA_PATHS;
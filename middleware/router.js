@@ -0,0 +1,205 @@
+'use strict';
+const querystring = require('querystring');
+const createGateway = require('./gateway');
+const util = require('../modules/util');
+const {E, LuciusError} = require('../error');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'ALL'];
+
+/**
+ * Parse one entry of the route table.
+ * @param {string} key Method and path, eg. `GET /users/:id`.
+ * @param {object} definition Route definition.
+ * @returns {object} The compiled route.
+ */
+const compileRoute = (key, definition) => {
+    const [method, path] = key.trim().split(/\s+/);
+    if (!path || METHODS.indexOf(method.toUpperCase()) === -1) {
+        throw new TypeError(`Route '${key}' must be a method followed by a path.`);
+    }
+    if (!definition || typeof definition.pattern !== 'string') {
+        throw new TypeError(`Route '${key}' must have a Seneca pattern.`);
+    }
+    const params = [];
+    const regexp = new RegExp('^' + path.replace(/\/+$/, '').replace(/[.+*?^$()[\]{}|\\]/g, '\\$&')
+        .replace(/:(\w+)/g, (match, name) => {
+            params.push(name);
+            return '([^/]+)';
+        }) + '/?$');
+    return Object.assign({}, definition, {key, method: method.toUpperCase(), path, regexp, params});
+};
+
+/**
+ * Build the Seneca arguments for a route. Without an `args` map, path parameters,
+ * query and body are merged, with path parameters taking precedence over query
+ * parameters, and those over the body. The Seneca core arguments (`role`, `cmd`,
+ * `__` and anything with `$`) of the query and body are left out.
+ * @param {object} route Compiled route.
+ * @param {{path: object, query: object, body: object, headers: object}} parts Parts of the HTTP request.
+ * @returns {object}
+ */
+const buildArgs = (route, parts) => {
+    if (typeof route.args === 'function') {
+        return route.args(parts);
+    }
+    if (route.args && typeof route.args === 'object') {
+        const args = {};
+        Object.keys(route.args).forEach(name => {
+            const value = util.lookup(parts, route.args[name]);
+            if (typeof value !== 'undefined') {
+                args[name] = value;
+            }
+        });
+        return args;
+    }
+    const body = parts.body && typeof parts.body === 'object' && !Array.isArray(parts.body) ? parts.body : {};
+    return Object.assign({}, util.filterCoreArgs(body), util.filterCoreArgs(parts.query || {}), parts.path);
+};
+
+/**
+ * Create an HTTP router from a route table, eg.
+ * `{'GET /users/:id': {pattern: 'role:users,cmd:get', args: {id: 'path.id'}}}`.
+ *
+ * Each route has a Seneca `pattern` and, optionally:
+ * - `args`: map of Seneca argument names to dot-separated paths in the HTTP request parts
+ *   (`path`, `query`, `body`, `headers`), or function(parts) returning the arguments.
+ *   Path, query and body are merged if missing, without their Seneca core arguments.
+ * - `schema`: JSON schema for the arguments. Defaults to the input schema the pattern was
+ *   registered with, if it was registered through the Lucius instance of the gateway.
+ *
+ * Arguments failing the schema are answered with VALIDATION_FAILED, without a Seneca request.
+ * @param {object} routes The route table.
+ * @param {object} [options={}] Gateway options (see gateway.js), or `{gateway}` to use an existing one.
+ * @returns {{routes: object[], match: function, handle: function, express: function, koa: function}}
+ */
+const createRouter = (routes, options = {}) => {
+    const gateway = options.gateway || createGateway(options);
+    const compiled = Object.keys(routes).map(key => compileRoute(key, routes[key]));
+    // compiled schemas per Lucius instance (the gateway has one per Seneca instance) and route
+    const validators = new WeakMap();
+
+    /**
+     * Find the validation function of a route: its own schema, or the input schema of its handler.
+     * @param {Lucius} lucius The Lucius instance of the request.
+     * @param {object} route Compiled route.
+     * @returns {?function}
+     */
+    const getValidator = (lucius, route) => {
+        if (!validators.has(lucius)) {
+            validators.set(lucius, new Map());
+        }
+        const cached = validators.get(lucius);
+        if (cached.has(route)) {
+            return cached.get(route);
+        }
+        const handler = lucius.getHandler(route.pattern);
+        const validator = lucius.compileSchema(route.schema || handler && handler.inputValidator);
+        // the handler may just not be registered yet, so we only remember what we found
+        if (validator) {
+            cached.set(route, validator);
+        }
+        return validator;
+    };
+
+    /**
+     * Find the route for a request.
+     * @param {string} method HTTP method.
+     * @param {string} path URL path, without query.
+     * @returns {?{route: object, params: ?object}} Params are null if a path parameter could not be decoded.
+     */
+    const match = (method, path) => {
+        method = method.toUpperCase();
+        for (let i = 0; i < compiled.length; i++) {
+            const route = compiled[i];
+            const found = route.regexp.exec(path);
+            if (found && (route.method === method || route.method === 'ALL' || route.method === 'GET' && method === 'HEAD')) {
+                const params = {};
+                try {
+                    route.params.forEach((name, index) => {
+                        params[name] = decodeURIComponent(found[index + 1]);
+                    });
+                } catch (e) {
+                    // malformed percent-encoding
+                    return {route, params: null};
+                }
+                return {route, params};
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Validate the arguments of a route, then perform its Seneca request.
+     * @param {object} source Express request or Koa context.
+     * @param {object} route Compiled route.
+     * @param {object} parts Parts of the HTTP request, see buildArgs(). Path parameters that could
+     *   not be decoded (null `path`) are answered with VALIDATION_FAILED.
+     * @returns {Promise<{status: number, body: any, success: boolean}>}
+     */
+    const handle = async (source, route, parts) => {
+        if (!parts.path) {
+            return gateway.failure([new LuciusError(E.VALIDATION_FAILED)]);
+        }
+        const args = await buildArgs(route, parts);
+        const lucius = gateway.getLucius(source);
+        const invalid = lucius.validateInputSchema(getValidator(lucius, route), args, route.pattern, args);
+        if (invalid) {
+            return gateway.failure([invalid]);
+        }
+        return gateway.run(source, route.pattern, args);
+    };
+
+    return {
+        routes: compiled,
+        match,
+        handle,
+        /**
+         * Express middleware that handles all the routes, and passes on anything else.
+         * @returns {function}
+         */
+        express: () => function (req, res, next) {
+            const [path, query] = (req.originalUrl || req.url).split('?');
+            const found = match(req.method, req.path || path);
+            if (!found) {
+                return next();
+            }
+            req.params = Object.assign({}, req.params, found.params);
+            const parts = {
+                path: found.params,
+                query: req.query || querystring.parse(query || ''),
+                body: req.body,
+                headers: req.headers,
+            };
+            return handle(req, found.route, parts)
+                .then(({status, body, headers = {}}) => {
+                    Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+                    return res.status(status).json(body);
+                })
+                .catch(next);
+        },
+        /**
+         * Koa middleware that handles all the routes, and passes on anything else.
+         * @returns {function}
+         */
+        koa: () => async function (ctx, next) {
+            const found = match(ctx.method, ctx.path);
+            if (!found) {
+                return next();
+            }
+            ctx.params = Object.assign({}, ctx.params, found.params);
+            const parts = {
+                path: found.params,
+                query: ctx.query,
+                body: ctx.request && ctx.request.body,
+                headers: ctx.headers,
+            };
+            const {status, body, headers = {}} = await handle(ctx, found.route, parts);
+            Object.keys(headers).forEach(name => ctx.set(name, headers[name]));
+            ctx.status = status;
+            ctx.body = body;
+        },
+    };
+};
+
+module.exports = createRouter;
+module.exports.compileRoute = compileRoute;
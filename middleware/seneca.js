@@ -1,6 +1,7 @@
 'use strict';
-const {Lucius} = require('../modules/lucius');
+const Lucius = require('../modules/lucius');
 const util = require('../modules/util');
+const {failureStatus, fatalStatus, PARTIAL_STATUS, warningHeader, retryAfterHeader} = require('./status');
 
 /**
  * Middleware handler that performs a Seneca request and sets the response accordingly.
@@ -13,26 +14,45 @@ const util = require('../modules/util');
  * @param {function} [cbSuccess=null] Optionally provide a function that
  *   will receive req, res and a Seneca successful response payload and will
  *   be expected to set the connect response and body. The default function
- *   sets status 200 and the body to the payload.
+ *   sets status 200 and the body to the payload. Partial successes are answered
+ *   with status 207 and `{success: true, payload, errors, warnings}` instead.
  */
 const handler = async function (req, res, next, pattern, params, cbSuccess = null) {
     // if params is a function, run it
     if (typeof params === 'function') {
         params = params(req);
     }
-    // make sure params is never undefined
-    params = params || {};
+    // make sure params is never undefined, and copy it, since the
+    // request adds the session info to it and params may be shared
+    params = Object.assign({}, params);
     // collect certain bits of user info
-    const userInfo = util.objectFilter(req.__, {user: true, session: true});
+    const userInfo = util.objectFilter(req.__, {user: true, session: true, locale: true});
     // make the seneca request
     const lucius = new Lucius(req.__.seneca);
     try {
         const response = await lucius.request(pattern, params, userInfo);
+        // warnings go in a header, whatever the outcome
+        if (response.getWarnings().length) {
+            res.setHeader('Warning', warningHeader(response.getWarnings()));
+        }
         if (!response.isSuccessful()) {
-            // business logic errors are signalled with 400
-            res.status(400);
+            // business logic errors are signalled with 4xx, according to their codes
+            res.status(failureStatus(response.getErrors()));
+            if (retryAfterHeader(response.getErrors())) {
+                res.setHeader('Retry-After', retryAfterHeader(response.getErrors()));
+            }
             return next(response.getErrors());
         }
+        // business logic success, with errors about some of the items
+        if (response.isPartial()) {
+            res.status(PARTIAL_STATUS);
+            return res.json({
+                success: true,
+                payload: response.getPayload(),
+                errors: response.getItemErrors(),
+                warnings: response.getWarnings(),
+            });
+        }
         // business logic success
         res.status(200);
         if (cbSuccess) {
@@ -40,9 +60,10 @@ const handler = async function (req, res, next, pattern, params, cbSuccess = nul
         }
         return res.json(response.getPayload());
     } catch (e) {
-        // fatal errors are signalled with 500
-        res.status(500);
-        return next(lucius.getFatalError(e));
+        // fatal errors are signalled with 5xx, usually 500
+        const fatal = lucius.getFatalError(e);
+        res.status(fatalStatus(fatal));
+        return next(fatal);
     }
 };
 
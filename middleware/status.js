@@ -0,0 +1,99 @@
+'use strict';
+const {E} = require('../error');
+
+// statuses for well-known codes that don't declare httpStatus in the registry;
+// namespaced codes (eg. 'users.NOT_FOUND') are matched by their last part
+const DEFAULT_STATUSES = {
+    BAD_REQUEST: 400,
+    UNAUTHENTICATED: 401,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    ALREADY_EXISTS: 409,
+    GONE: 410,
+    UNPROCESSABLE: 422,
+    UNPROCESSABLE_ENTITY: 422,
+    RATE_LIMITED: 429,
+};
+
+/**
+ * Find the HTTP status for an error code. Looks, in order, at the overrides,
+ * at the httpStatus of the registry definition and at the well-known codes.
+ * @param {string} code Error code.
+ * @param {object} [overrides={}] Statuses keyed by error code.
+ * @returns {?number} The status, or null if none was found.
+ */
+const statusForCode = (code, overrides = {}) => {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    if (overrides.hasOwnProperty(code)) {
+        return overrides[code];
+    }
+    const definition = E.get(code);
+    if (definition && definition.httpStatus) {
+        return definition.httpStatus;
+    }
+    const name = code.split('.').pop();
+    return DEFAULT_STATUSES.hasOwnProperty(name) ? DEFAULT_STATUSES[name] : null;
+};
+
+/**
+ * Find the HTTP status for a business failure: the status of the first error
+ * that has one, or 400.
+ * @param {ErrorEntry[]} errors Errors of the failure message.
+ * @param {object} [overrides={}] Statuses keyed by error code.
+ * @returns {number}
+ */
+const failureStatus = (errors, overrides = {}) => {
+    for (let i = 0; i < errors.length; i++) {
+        const status = statusForCode(errors[i].code, overrides);
+        if (status) {
+            return status;
+        }
+    }
+    return 400;
+};
+
+/**
+ * Find the HTTP status for a fatal error: the status of its code, if any, or 500.
+ * @param {any} e The fatal error.
+ * @param {object} [overrides={}] Statuses keyed by error code.
+ * @returns {number}
+ */
+const fatalStatus = (e, overrides = {}) => e && statusForCode(e.code, overrides) || 500;
+
+// status for partially successful messages, which have per-item errors
+const PARTIAL_STATUS = 207;
+
+/**
+ * Build a Warning header (RFC 7234) out of message warnings. Only the codes are used,
+ * since localized messages may not be valid header values.
+ * @param {ErrorEntry[]} warnings Warnings of the message.
+ * @returns {?string} The header value, or null if there are no warnings.
+ */
+const warningHeader = warnings => warnings.length
+    ? warnings.map(({code, path}) => `299 - "${code}${typeof path !== 'undefined' ? ` at ${path}` : ''}"`).join(', ')
+    : null;
+
+/**
+ * Build a Retry-After header out of the errors of a failure message: RATE_LIMITED errors
+ * say after how many seconds to retry in their details, when known.
+ * @param {ErrorEntry[]|LuciusError[]} errors Errors of the message.
+ * @returns {?string} The header value, or null if there is no such error.
+ */
+const retryAfterHeader = errors => {
+    const limited = errors.find(({code, details}) => code === E.RATE_LIMITED.code && details && details.length);
+    return limited && limited.details[0].retryAfter ? String(limited.details[0].retryAfter) : null;
+};
+
+module.exports = {
+    DEFAULT_STATUSES,
+    statusForCode,
+    failureStatus,
+    fatalStatus,
+    PARTIAL_STATUS,
+    warningHeader,
+    retryAfterHeader,
+};
@@ -0,0 +1,104 @@
+'use strict';
+const {E, LuciusError} = require('../error');
+
+/**
+ * @typedef AuthorizationPolicy
+ * @type {object}
+ * @property {string[]} [roles] - Roles that are allowed, any of them. The user roles are read
+ *   from `sessionInfo.user.roles` (array) or `sessionInfo.user.role` (string).
+ * @property {function} [owner] - Predicate(args, sessionInfo) telling whether the user owns what
+ *   the message is about. With roles as well, either of them grants access.
+ * @property {function} [check] - Custom (possibly async) check(args, sessionInfo, pattern) that
+ *   must return true, on top of roles and owner.
+ */
+
+/**
+ * Check an authorization policy at registration time.
+ * @param {AuthorizationPolicy|function|string[]} policy The policy, a custom check, or a list of roles.
+ * @returns {?AuthorizationPolicy} The policy as an object, or null if there is none.
+ * @throws {TypeError} If the policy is malformed.
+ */
+const normalize = policy => {
+    if (!policy) {
+        return null;
+    }
+    if (typeof policy === 'function') {
+        policy = {check: policy};
+    }
+    else if (Array.isArray(policy)) {
+        policy = {roles: policy};
+    }
+    const {roles = null, owner = null, check = null} = policy;
+    if (roles !== null && (!Array.isArray(roles) || roles.some(role => typeof role !== 'string'))) {
+        throw new TypeError('Authorization roles must be an array of strings.');
+    }
+    [owner, check].forEach(predicate => {
+        if (predicate !== null && typeof predicate !== 'function') {
+            throw new TypeError('Authorization owner and check must be functions.');
+        }
+    });
+    if (!roles && !owner && !check) {
+        throw new TypeError('Authorization policy must have roles, owner or check.');
+    }
+    return {roles, owner, check};
+};
+
+/**
+ * Find the roles of the user in the session info.
+ * @param {object} user
+ * @returns {string[]}
+ */
+const userRoles = user => [].concat(user.roles || user.role || []);
+
+/**
+ * Find the ID of the user in the session info.
+ * @param {object} sessionInfo
+ * @returns {?string} The ID, or null if there is no user, or no ID to tell them apart by.
+ */
+const findUserId = sessionInfo => {
+    const user = sessionInfo && sessionInfo.user;
+    const id = user && typeof user === 'object' ? user.id || user._id || user.username : user;
+    return id ? String(id) : null;
+};
+
+/**
+ * Find something to identify the user by in the logs.
+ * @param {object} sessionInfo
+ * @returns {string}
+ */
+const userId = sessionInfo => findUserId(sessionInfo) || (sessionInfo && sessionInfo.user ? 'unknown' : 'anonymous');
+
+/**
+ * Evaluate an authorization policy. Messages without a user in the session info are
+ * unauthenticated; users without one of the roles, who don't own what the message is
+ * about or who fail the custom check are forbidden.
+ * @param {AuthorizationPolicy} policy Normalized policy, see normalize().
+ * @param {object} args Message arguments.
+ * @param {object} sessionInfo Session info.
+ * @param {string} pattern Seneca message pattern.
+ * @returns {Promise<?LuciusError>} UNAUTHENTICATED or FORBIDDEN, or null if access is granted.
+ */
+const authorize = async (policy, args, sessionInfo, pattern) => {
+    const user = sessionInfo && sessionInfo.user;
+    if (!user) {
+        return new LuciusError(E.UNAUTHENTICATED, {pattern});
+    }
+    const {roles, owner, check} = policy;
+    if (roles || owner) {
+        const hasRole = !!roles && typeof user === 'object' && userRoles(user).some(role => roles.indexOf(role) !== -1);
+        if (!hasRole && !(owner && await owner(args, sessionInfo))) {
+            return new LuciusError(E.FORBIDDEN, {pattern});
+        }
+    }
+    if (check && await check(args, sessionInfo, pattern) !== true) {
+        return new LuciusError(E.FORBIDDEN, {pattern});
+    }
+    return null;
+};
+
+module.exports = {
+    normalize,
+    authorize,
+    findUserId,
+    userId,
+};
@@ -0,0 +1,109 @@
+'use strict';
+const sharedLogger = require('./logger');
+const {E, LuciusError} = require('../error');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Circuit breaker for one Seneca pattern. It opens after a number of consecutive
+ * fatal errors, then fails fast until resetTimeout passes. After that, it lets
+ * one probe request through (half-open): if it succeeds the circuit closes,
+ * otherwise it opens again.
+ */
+class LuciusCircuitBreaker {
+    /**
+     * Creates an instance of LuciusCircuitBreaker.
+     * @param {string} pattern Seneca message pattern guarded by this breaker.
+     * @param {object} [options={}] Breaker options.
+     * @param {number} [options.threshold=5] Consecutive fatal errors that open the circuit.
+     * @param {number} [options.resetTimeout=30000] Milliseconds to stay open before allowing a probe.
+     * @param {object} [options.logger] Logger for state changes. Defaults to the shared logger.
+     * @memberof LuciusCircuitBreaker
+     */
+    constructor(pattern, {threshold = 5, resetTimeout = 30000, logger = sharedLogger} = {}) {
+        if (!(threshold >= 1)) {
+            throw new TypeError('Circuit breaker threshold must be at least 1.');
+        }
+        this.pattern = pattern;
+        this.logger = logger;
+        this.threshold = threshold;
+        this.resetTimeout = resetTimeout;
+        this.state = CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    /**
+     * Must be called before each request. Throws if the request is not allowed through.
+     * @throws {LuciusError} CIRCUIT_OPEN if the circuit is open, or half-open with a probe in flight.
+     * @memberof LuciusCircuitBreaker
+     */
+    enter() {
+        if (this.state === OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = HALF_OPEN;
+            this.probing = false;
+        }
+        if (this.state === OPEN || this.state === HALF_OPEN && this.probing) {
+            throw new LuciusError(E.CIRCUIT_OPEN, {pattern: this.pattern});
+        }
+        if (this.state === HALF_OPEN) {
+            this.probing = true;
+        }
+    }
+
+    /**
+     * Record a request that got a response (successful or not, it doesn't matter).
+     * @memberof LuciusCircuitBreaker
+     */
+    success() {
+        if (this.state !== CLOSED) {
+            this.logger.info.format('SENECA', 'BREAKER', this.pattern, CLOSED);
+        }
+        this.state = CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    /**
+     * Record a request that ended with a fatal error.
+     * @memberof LuciusCircuitBreaker
+     */
+    failure() {
+        this.failures++;
+        if (this.state === HALF_OPEN || this.failures >= this.threshold) {
+            if (this.state !== OPEN) {
+                this.logger.warning.format('SENECA', 'BREAKER', this.pattern, OPEN, `${this.failures} failure(s)`);
+            }
+            this.state = OPEN;
+            this.openedAt = Date.now();
+            this.probing = false;
+        }
+    }
+
+    /**
+     * Report the current state of the breaker.
+     * @returns {{pattern: string, state: string, failures: number, threshold: number,
+     *   resetTimeout: number, openedAt: ?number}}
+     * @memberof LuciusCircuitBreaker
+     */
+    inspect() {
+        return {
+            pattern: this.pattern,
+            state: this.state,
+            failures: this.failures,
+            threshold: this.threshold,
+            resetTimeout: this.resetTimeout,
+            openedAt: this.openedAt,
+        };
+    }
+}
+
+LuciusCircuitBreaker.CLOSED = CLOSED;
+LuciusCircuitBreaker.OPEN = OPEN;
+LuciusCircuitBreaker.HALF_OPEN = HALF_OPEN;
+
+module.exports = LuciusCircuitBreaker;
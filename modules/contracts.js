@@ -0,0 +1,254 @@
+'use strict';
+const fs = require('fs');
+const util = require('./util');
+const LuciusRedactor = require('./redact');
+const LuciusMessage = require('./message');
+const LuciusMetrics = require('./metrics');
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Name the JSON type of a value, telling arrays and null apart.
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+/**
+ * Check that a value has the shape of a recorded one: same types, and every recorded property
+ * still present. New properties are allowed, since they don't break consumers.
+ * @param {any} expected Recorded value.
+ * @param {any} actual Current value.
+ * @param {string} [path='payload'] Path of the values, for the problem descriptions.
+ * @param {?string} [redacted=null] What redacted values were replaced with, when recorded;
+ *   those values may have had any type.
+ * @returns {string[]} Problems found, if any.
+ */
+const shapeProblems = (expected, actual, path = 'payload', redacted = null) => {
+    if (redacted !== null && expected === redacted) {
+        return [];
+    }
+    const expectedType = typeOf(expected);
+    const actualType = typeOf(actual);
+    if (expectedType !== actualType) {
+        return [`${path}: expected ${expectedType}, got ${actualType}`];
+    }
+    if (expectedType === 'array') {
+        return expected.length && actual.length ? shapeProblems(expected[0], actual[0], `${path}[0]`, redacted) : [];
+    }
+    if (expectedType === 'object') {
+        return Object.keys(expected).reduce((problems, key) => problems.concat(
+            actual.hasOwnProperty(key)
+                ? shapeProblems(expected[key], actual[key], `${path}.${key}`, redacted)
+                : [`${path}.${key}: missing`]
+        ), []);
+    }
+    return [];
+};
+
+/**
+ * Records the message exchanges that a Lucius instance takes part in, to be saved as
+ * JSON fixtures and replayed against the providers with verify(). Pass it to Lucius
+ * as the `contracts` option.
+ *
+ * Exchanges are `{direction, pattern, args, session, response}`, where response is
+ * `{success, errors: [{code, message}], payload}`, or `{direction, pattern, args, session,
+ * fatal: {code, message}}`. Identical exchanges are only recorded once.
+ *
+ * Exchanges are kept as they are in memory, so they can be replayed as recorded, and only
+ * redacted when saved. Saved exchanges that had something redacted carry the replacement
+ * text as `redacted`.
+ */
+class LuciusContractRecorder {
+    /**
+     * Creates an instance of LuciusContractRecorder.
+     * @param {object} [options={}] Recorder options.
+     * @param {string} [options.file] Fixture file that save() writes to by default.
+     * @param {string[]} [options.directions] Directions to record, LuciusMetrics.INBOUND
+     *   (handled messages) and/or LuciusMetrics.OUTBOUND (requests). Defaults to both.
+     * @param {LuciusRedactor|object|boolean} [options.redact={}] Redactor, or rules for a new one
+     *   (see LuciusRedactor), applied to the arguments, session info and payloads that are saved;
+     *   false disables it. Saved exchanges with redacted arguments or session info can't be replayed,
+     *   so verify() skips them.
+     * @memberof LuciusContractRecorder
+     */
+    constructor({file = null, directions = [LuciusMetrics.INBOUND, LuciusMetrics.OUTBOUND], redact = {}} = {}) {
+        this.file = file;
+        this.directions = directions;
+        this.redactor = LuciusRedactor.from(redact);
+        this.exchanges = [];
+        this.seen = new Set();
+    }
+
+    /**
+     * Record one exchange.
+     * @param {string} direction Either LuciusMetrics.INBOUND or LuciusMetrics.OUTBOUND.
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} args Seneca message arguments, including the session info in `__`.
+     * @param {LuciusMessage|Error} outcome The response message, or the fatal error.
+     * @memberof LuciusContractRecorder
+     */
+    record(direction, pattern, args, outcome) {
+        if (this.directions.indexOf(direction) === -1) {
+            return;
+        }
+        // the trace is different for every request, so it's left out
+        const session = Object.assign({}, args && args.__);
+        delete session.trace;
+        const exchange = {
+            direction,
+            pattern,
+            args: util.filterCoreArgs(args || {}),
+            session,
+        };
+        if (outcome instanceof LuciusMessage) {
+            exchange.response = {
+                success: outcome.isSuccessful(),
+                errors: outcome.getErrors().map(({code, message}) => ({code, message})),
+                payload: outcome.getPayload(),
+            };
+        }
+        else {
+            exchange.fatal = {code: outcome && outcome.code || null, message: outcome && outcome.message || null};
+        }
+        const key = JSON.stringify(exchange);
+        if (!this.seen.has(key)) {
+            this.seen.add(key);
+            this.exchanges.push(JSON.parse(key));
+        }
+    }
+
+    /**
+     * Forget all the recorded exchanges.
+     * @memberof LuciusContractRecorder
+     */
+    reset() {
+        this.exchanges = [];
+        this.seen.clear();
+    }
+
+    /**
+     * Redact an exchange, for saving.
+     * @param {object} exchange
+     * @returns {object} The redacted copy.
+     * @memberof LuciusContractRecorder
+     */
+    redact(exchange) {
+        if (!this.redactor) {
+            return exchange;
+        }
+        const copy = Object.assign({}, exchange, {
+            args: this.redactor.redact(exchange.args),
+            session: this.redactor.redact(exchange.session),
+        });
+        if (exchange.response) {
+            copy.response = Object.assign({}, exchange.response, {payload: this.redactor.redact(exchange.response.payload)});
+        }
+        if (JSON.stringify(copy) !== JSON.stringify(exchange)) {
+            copy.redacted = this.redactor.replacement;
+        }
+        return copy;
+    }
+
+    /**
+     * Get the contents of the fixture file, redacted.
+     * @returns {{version: number, exchanges: object[]}}
+     * @memberof LuciusContractRecorder
+     */
+    toJSON() {
+        return {version: FIXTURE_VERSION, exchanges: this.exchanges.map(exchange => this.redact(exchange))};
+    }
+
+    /**
+     * Write the recorded exchanges to a JSON fixture file.
+     * @param {string} [file] Defaults to the `file` option.
+     * @memberof LuciusContractRecorder
+     */
+    save(file = this.file) {
+        if (!file) {
+            throw new Error('No fixture file to save the contracts to.');
+        }
+        fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    }
+
+    /**
+     * Read the exchanges of a JSON fixture file.
+     * @param {string} file
+     * @returns {object[]}
+     * @memberof LuciusContractRecorder
+     */
+    static load(file) {
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!fixture || fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.exchanges)) {
+            throw new Error(`File '${file}' is not a Lucius contract fixture.`);
+        }
+        return fixture.exchanges;
+    }
+}
+
+/**
+ * Check whether the arguments or session info of a saved exchange were redacted.
+ * @param {object} exchange
+ * @returns {boolean}
+ */
+const isReplayRedacted = ({args, session, redacted}) =>
+    typeof redacted === 'string' && JSON.stringify([args, session]).indexOf(JSON.stringify(redacted).slice(1, -1)) !== -1;
+
+/**
+ * Replay recorded exchanges against the handlers reachable by a Lucius instance (usually the
+ * provider's handlers, registered through it or through a LuciusHarness), and check that the
+ * responses still conform: same success state, every recorded error code still present and,
+ * for successful responses, every recorded payload property still there with the same type.
+ * Exchanges that ended in fatal errors are skipped, since those are rarely part of a contract, and
+ * so are saved exchanges whose arguments or session info were redacted, since their real values
+ * are unknown. Redacted payload values may have had any type.
+ * @param {Lucius} lucius The instance that makes the requests.
+ * @param {string|object[]} exchanges Fixture file, or the recorded exchanges.
+ * @param {object} [options={}] Verification options.
+ * @param {function} [options.filter] Function(exchange) selecting the exchanges to replay.
+ * @returns {Promise<{passed: boolean, results: Array<{pattern: string, args: object,
+ *   status: string, problems: string[]}>}>} Status is one of passed, failed or skipped.
+ */
+const verify = async (lucius, exchanges, {filter = null} = {}) => {
+    if (typeof exchanges === 'string') {
+        exchanges = LuciusContractRecorder.load(exchanges);
+    }
+    const results = [];
+    for (let i = 0; i < exchanges.length; i++) {
+        const exchange = exchanges[i];
+        if (filter && !filter(exchange)) {
+            continue;
+        }
+        const result = {pattern: exchange.pattern, args: exchange.args, status: 'skipped', problems: []};
+        results.push(result);
+        if (!exchange.response || isReplayRedacted(exchange)) {
+            continue;
+        }
+        const expected = exchange.response;
+        let message;
+        try {
+            message = await lucius.request(exchange.pattern, Object.assign({}, exchange.args), Object.assign({}, exchange.session));
+        } catch (e) {
+            const fatal = lucius.getFatalError(e);
+            result.problems.push(`fatal error${fatal && fatal.code ? ` ${fatal.code}` : ''}: ${fatal ? fatal.message : e}`);
+        }
+        if (message && message.isSuccessful() !== expected.success) {
+            result.problems.push(`expected ${expected.success ? 'success' : 'failure'}, got ${message.isSuccessful() ? 'success' : 'failure'}`);
+        }
+        else if (message && !expected.success) {
+            expected.errors.filter(({code}) => !message.containsError(code)).forEach(({code}) => {
+                result.problems.push(`missing error ${code}`);
+            });
+        }
+        else if (message) {
+            result.problems.push(...shapeProblems(expected.payload, message.getPayload(), 'payload', exchange.redacted || null));
+        }
+        result.status = result.problems.length ? 'failed' : 'passed';
+    }
+    return {passed: results.every(result => result.status !== 'failed'), results};
+};
+
+LuciusContractRecorder.verify = verify;
+LuciusContractRecorder.shapeProblems = shapeProblems;
+
+module.exports = LuciusContractRecorder;
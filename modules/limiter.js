@@ -0,0 +1,147 @@
+'use strict';
+const {E, LuciusError} = require('../error');
+const authorization = require('./authorization');
+
+/**
+ * Limits the executions of a handler: how many run at once, how many may wait for
+ * their turn, and how many may start per interval (token bucket). Limits apply to
+ * all the messages together, or to each user separately.
+ */
+class LuciusLimiter {
+    /**
+     * Creates an instance of LuciusLimiter.
+     * @param {string} pattern Seneca message pattern of the handler.
+     * @param {object} [options={}] Limits.
+     * @param {number} [options.concurrency=Infinity] Maximum number of executions at once.
+     * @param {number} [options.queue=0] Maximum number of messages waiting for an execution
+     *   to finish, when the concurrency limit is reached. The rest are rejected.
+     * @param {object} [options.rate] Token bucket: `{limit, interval, burst}` allows `limit`
+     *   executions per `interval` milliseconds, and at most `burst` (default `limit`) at once.
+     * @param {boolean|function} [options.perUser=false] Apply the limits to each user of the
+     *   session info separately, or to the keys returned by function(args, sessionInfo).
+     * @memberof LuciusLimiter
+     */
+    constructor(pattern, {concurrency = Infinity, queue = 0, rate = null, perUser = false} = {}) {
+        if (!(concurrency > 0) || !(queue >= 0)) {
+            throw new TypeError('Limits concurrency must be positive and queue must not be negative.');
+        }
+        if (rate && !(rate.limit > 0 && rate.interval > 0)) {
+            throw new TypeError('Rate limit and interval must be positive.');
+        }
+        this.pattern = pattern;
+        this.concurrency = concurrency;
+        this.queue = queue;
+        this.rate = rate ? Object.assign({burst: rate.limit}, rate) : null;
+        this.perUser = perUser;
+        // limit state per key: {active, waiting, tokens, refilled}
+        this.states = new Map();
+        // when idle states were last forgotten, see getState()
+        this.sweptAt = Date.now();
+    }
+
+    /**
+     * Find the limit state of a message.
+     * @param {object} args Message arguments.
+     * @param {object} sessionInfo Session info.
+     * @returns {object}
+     * @memberof LuciusLimiter
+     */
+    getState(args, sessionInfo) {
+        // with a rate, idle states can only be forgotten once their bucket is full again,
+        // which is after release(); so they are swept, at most once per full refill
+        if (this.rate && Date.now() - this.sweptAt >= this.rate.burst * this.rate.interval / this.rate.limit) {
+            this.sweptAt = Date.now();
+            this.states.forEach(state => this.cleanup(state));
+        }
+        const key = typeof this.perUser === 'function' ? String(this.perUser(args, sessionInfo))
+            : this.perUser ? authorization.userId(sessionInfo) : '*';
+        if (!this.states.has(key)) {
+            this.states.set(key, {key, active: 0, waiting: [], tokens: this.rate ? this.rate.burst : 0, refilled: Date.now()});
+        }
+        return this.states.get(key);
+    }
+
+    /**
+     * Take a token from the bucket of a state, if there's one.
+     * @param {object} state
+     * @returns {number} 0 if a token was taken, otherwise milliseconds until there's one.
+     * @memberof LuciusLimiter
+     */
+    take(state) {
+        const {limit, interval, burst} = this.rate;
+        const now = Date.now();
+        state.tokens = Math.min(burst, state.tokens + (now - state.refilled) * limit / interval);
+        state.refilled = now;
+        if (state.tokens >= 1) {
+            state.tokens--;
+            return 0;
+        }
+        return Math.ceil((1 - state.tokens) * interval / limit);
+    }
+
+    /**
+     * Forget the state of a key once it has nothing to remember, so that per-user
+     * states don't pile up.
+     * @param {object} state
+     * @memberof LuciusLimiter
+     */
+    cleanup(state) {
+        if (state.active || state.waiting.length) {
+            return;
+        }
+        if (this.rate && state.tokens + (Date.now() - state.refilled) * this.rate.limit / this.rate.interval < this.rate.burst) {
+            return;
+        }
+        this.states.delete(state.key);
+    }
+
+    /**
+     * Wait for the turn of a message to be handled.
+     * @param {object} args Message arguments.
+     * @param {object} sessionInfo Session info.
+     * @returns {Promise<function|LuciusError>} A function to call when the execution is over,
+     *   or a RATE_LIMITED error if the message must be rejected. Its details say after how
+     *   many seconds to retry, when known.
+     * @memberof LuciusLimiter
+     */
+    async acquire(args, sessionInfo) {
+        const state = this.getState(args, sessionInfo);
+        const reject = retryAfter => {
+            const e = new LuciusError(E.RATE_LIMITED, {pattern: this.pattern});
+            e.details = retryAfter ? [{retryAfter: Math.ceil(retryAfter / 1000)}] : [];
+            return e;
+        };
+        if (this.rate) {
+            const wait = this.take(state);
+            if (wait) {
+                return reject(wait);
+            }
+        }
+        if (state.active >= this.concurrency) {
+            if (state.waiting.length >= this.queue) {
+                return reject(0);
+            }
+            // the execution that finishes hands its place over, see below
+            await new Promise(resolve => state.waiting.push(resolve));
+        }
+        else {
+            state.active++;
+        }
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            if (state.waiting.length) {
+                state.waiting.shift()();
+            }
+            else {
+                state.active--;
+                this.cleanup(state);
+            }
+        };
+    }
+}
+
+module.exports = LuciusLimiter;
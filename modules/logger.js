@@ -1,7 +1,9 @@
 'use strict';
 const winston = require('winston');
+const LuciusRedactor = require('./redact');
 
 const LOG_LEVEL = process.env.LOG_LEVEL;
+const LOG_FORMAT = process.env.LOG_FORMAT;
 
 const LEVELS = [
     {name: 'fatal', color: 'magenta'},
@@ -12,6 +14,13 @@ const LEVELS = [
     {name: 'verbose', color: 'blue'},
 ];
 
+// level names used by other common loggers, for loggers that lack ours
+const ALIASES = {
+    fatal: ['error'],
+    warning: ['warn'],
+    verbose: ['trace', 'debug'],
+};
+
 winston.addColors(
     LEVELS.reduce((prev, level) => {
         prev[level.name] = level.color;
@@ -19,26 +28,17 @@ winston.addColors(
     }, {})
 );
 
-const logger = new winston.Logger({
-    transports: [
-        new winston.transports.Console({
-            colorize: true,
-            level: LOG_LEVEL || 'debug',
-            'timestamp': true,
-        }),
-    ],
-    levels: LEVELS.reduce((prev, level, index) => {
-        prev[level.name] = index;
-        return prev;
-    }, {}),
-});
-
-logger.formatter = (prefix) =>
+const formatter = (prefix) =>
     (action, pattern, args, ...extra) => {
         let log = `${prefix}: [${action}] ${pattern}`;
         if (typeof args !== 'undefined') {
             log += ' ' + (typeof args === 'string' ? args : JSON.stringify(args));
         }
+        // Seneca arguments carry the trace context in the session info
+        const trace = args && typeof args === 'object' && args.__ && args.__.trace;
+        if (trace && trace.traceId) {
+            log += ` [trace:${trace.traceId} span:${trace.spanId}]`;
+        }
         log += extra.length ? ' //' : '';
         if (extra.length) {
             return [log, ...extra];
@@ -48,29 +48,166 @@ logger.formatter = (prefix) =>
 
 // XXX: Fix error stack printing. Some Error objects are missing the error message
 // from the serialized trace, and none of them include the code property in it.
-// We replace each logger method with a function that intercepts Error instances
-// and reformats the first line of their trace to include name, code and message.
-LEVELS.forEach(({name}) => {
-    const original = logger[name];
-    logger[name] = (...params) => {
-        for (let i = 0; i < params.length; i++) {
-            if (params[i] instanceof Error && params[i].stack) {
-                const e = params[i];
-                const lines = e.stack.split('\n');
-                lines.shift();
-                lines.unshift(`${e.name}:` + (e.code ? ` [${e.code}]` : '') + ` ${e.message}`);
-                params[i] = lines.join('\n');
+// We intercept Error instances and reformat the first line of their trace to
+// include name, code and message. We also trim overly long strings and arrays.
+const sanitize = param => {
+    if (param instanceof Error && param.stack) {
+        const lines = param.stack.split('\n');
+        lines.shift();
+        lines.unshift(`${param.name}:` + (param.code ? ` [${param.code}]` : '') + ` ${param.message}`);
+        return lines.join('\n');
+    }
+    else if (typeof param === 'string' && param.length > 1000) {
+        return param.substring(0, 1000) + '[MORE]';
+    }
+    else if (Array.isArray(param) && param.length > 20) {
+        const trimmed = param.slice(0, 20);
+        trimmed.push('[MORE]');
+        return trimmed;
+    }
+    return param;
+};
+
+/**
+ * Build one structured log record, for the JSON format.
+ * @returns {object} Record with level, timestamp, prefix, action, pattern, args,
+ *   error code and trace IDs (when found) and any extra parameters.
+ */
+const toRecord = (level, prefix, action, pattern, args, extra, clean) => {
+    const trace = args && typeof args === 'object' && args.__ && args.__.trace || {};
+    const coded = extra.find(item => item && typeof item === 'object' && item.code);
+    return {
+        timestamp: new Date().toISOString(),
+        level,
+        prefix,
+        action,
+        pattern,
+        args,
+        code: coded ? coded.code : undefined,
+        traceId: trace.traceId,
+        spanId: trace.spanId,
+        extra: extra.length ? extra.map(clean) : undefined,
+    };
+};
+
+/**
+ * Check whether a logger would output anything at a level, so we can skip
+ * preparing (and redacting) what it would throw away.
+ * @param {object} target The logger being wrapped.
+ * @param {string} level One of our level names.
+ * @param {string} method The logger method used for that level.
+ * @returns {boolean} True unless the logger says otherwise.
+ */
+const isEnabled = (target, level, method) => {
+    if (typeof target.isLevelEnabled === 'function') {
+        return target.isLevelEnabled(method);
+    }
+    if (target instanceof winston.Logger) {
+        const levels = target.levels;
+        return Object.keys(target.transports).some(key => {
+            const transport = target.transports[key];
+            return !transport.silent && levels[transport.level || target.level] >= levels[level];
+        });
+    }
+    return true;
+};
+
+/**
+ * Wrap a logger so that it offers the Lucius logging interface: one method for
+ * each of our levels, with a `format(prefix, action, pattern, args, ...extra)`
+ * shorthand attached to each one. The logger itself is not modified.
+ * @param {object} target Any object with logging methods named after our levels,
+ *   or after the usual alternatives (eg. `warn` instead of `warning`).
+ * @param {object} [options={}] Wrapper options.
+ * @param {string} [options.format='text'] Either 'text', or 'json' to log one
+ *   JSON object per line when using the format() shorthands.
+ * @param {LuciusRedactor|object|boolean} [options.redact] Redactor, or rules for a new one
+ *   (see LuciusRedactor), applied to everything logged. Default rules if missing; false disables it.
+ *   Nothing is redacted for levels the logger doesn't output.
+ * @returns {object} The wrapped logger. Wrapping it again returns it unchanged.
+ */
+const wrap = (target, {format = 'text', redact = {}} = {}) => {
+    if (target && target.isLuciusLogger) {
+        return target;
+    }
+    const redactor = LuciusRedactor.from(redact);
+    // errors are turned into strings first, so their traces get redacted too
+    const clean = param => redactor ? redactor.redact(sanitize(param)) : sanitize(param);
+    const wrapped = {isLuciusLogger: true, formatter, format, target, redactor};
+    LEVELS.forEach(({name}) => {
+        const method = [name, ...ALIASES[name] || []].find(candidate => typeof target[candidate] === 'function');
+        if (!method) {
+            throw new TypeError(`Logger has no method for level '${name}'.`);
+        }
+        wrapped[name] = (...params) => {
+            if (isEnabled(target, name, method)) {
+                target[method](...params.map(clean));
             }
-            else if (typeof params[i] === 'string' && params[i].length > 1000) {
-                params[i] = params[i].substring(0, 1000) + '[MORE]';
+        };
+        wrapped[name].format = (prefix, action, pattern, args, ...extra) => {
+            if (!isEnabled(target, name, method)) {
+                return;
             }
-            else if (Array.isArray(params[i]) && params[i].length > 20) {
-                params[i] = params[i].slice(0, 20);
-                params[i].push('[MORE]');
+            // args are serialized by the formatter, so they must be redacted beforehand
+            args = redactor ? redactor.redact(args) : args;
+            if (format === 'json') {
+                return target[method](JSON.stringify(toRecord(name, prefix, action, pattern, args, extra, clean)));
             }
-        }
-        return original(...params);
-    };
-});
+            return wrapped[name](...formatter(prefix)(action, pattern, args, ...extra));
+        };
+    });
+    return wrapped;
+};
+
+/**
+ * Make a copy of a wrapped logger that redacts more, eg. for the logs of one handler.
+ * The logger itself is not modified.
+ * @param {object} wrapped A logger returned by wrap().
+ * @param {object} rules More redaction rules, see LuciusRedactor.
+ * @returns {object} The new wrapped logger, or the same one if it doesn't redact at all.
+ */
+const withRedaction = (wrapped, rules) => wrapped.redactor
+    ? wrap(wrapped.target, {format: wrapped.format, redact: wrapped.redactor.extend(rules)})
+    : wrapped;
+
+/**
+ * Create a Winston logger with the Lucius levels, wrapped (see wrap()).
+ * @param {object} [options={}] Logger options.
+ * @param {string} [options.level] Lowest level that is logged. Defaults to LOG_LEVEL, or 'debug'.
+ * @param {string} [options.format] Either 'text' or 'json'. Defaults to LOG_FORMAT, or 'text'.
+ * @param {object[]} [options.transports] Winston transports. Defaults to the console.
+ * @param {LuciusRedactor|object|boolean} [options.redact] See wrap().
+ * @returns {object} The wrapped logger.
+ */
+const createLogger = ({
+    level = LOG_LEVEL || 'debug',
+    format = LOG_FORMAT || 'text',
+    transports = null,
+    redact = {},
+} = {}) => {
+    const instance = new winston.Logger({
+        transports: transports || [
+            new winston.transports.Console(format === 'json' ? {
+                level,
+                // records already carry level and timestamp
+                formatter: options => options.message,
+            } : {
+                colorize: true,
+                level,
+                'timestamp': true,
+            }),
+        ],
+        levels: LEVELS.reduce((prev, {name}, index) => {
+            prev[name] = index;
+            return prev;
+        }, {}),
+    });
+    return wrap(instance, {format, redact});
+};
+
+const logger = createLogger();
+logger.createLogger = createLogger;
+logger.wrap = wrap;
+logger.withRedaction = withRedaction;
 
 module.exports = logger;
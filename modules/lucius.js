@@ -1,36 +1,135 @@
 'use strict';
 const util = require('./util');
-const {LuciusError} = require('../error');
+const {E, LuciusError, LuciusSmuggleError} = require('../error');
+const locale = require('../error/locale');
 const logger = require('./logger');
 const Ajv = require('ajv');
-const ajv = new Ajv();
+const ajv = new Ajv({allErrors: true});
 const LuciusMessage = require('./message');
 const LuciusResponder = require('./responder');
+const LuciusCircuitBreaker = require('./breaker');
+const tracing = require('./tracing');
+const LuciusMetrics = require('./metrics');
+const LuciusRedactor = require('./redact');
+const authorization = require('./authorization');
+const LuciusMemoryStore = require('./store');
+const LuciusLimiter = require('./limiter');
+
+// keys accepted in the register() options object
+const REGISTER_OPTIONS = [
+    'input', 'output', 'before', 'after', 'description', 'timeout', 'errors', 'plugin', 'authorize', 'idempotency',
+    'limits',
+];
+// keys that give away a JSON schema passed in place of the options object
+const SCHEMA_KEYWORDS = [
+    '$schema', '$id', '$ref', 'type', 'properties', 'patternProperties', 'additionalProperties',
+    'required', 'items', 'enum', 'const', 'allOf', 'anyOf', 'oneOf', 'not', 'definitions',
+];
+// the pattern that describes the handlers registered through Lucius, see describe()
+const DESCRIBE_PATTERN = 'role:lucius,cmd:describe';
+// Lucius instances that registered handlers, per root Seneca instance; Seneca
+// plugins get their own delegates, but we want one describe pattern per service
+const describers = new WeakMap();
+// domain events travel as role:lucius,event:<name> messages, see publish()
+const EVENT_ROLE = 'role:lucius,event:';
+// event subscriptions, per root Seneca instance and event name, see subscribe()
+const subscriptions = new WeakMap();
 
 class Lucius {
     /**
      * Creates an instance of Lucius.
      * @param {any} seneca A Seneca instance.
+     * @param {object} [options={}] Instance options.
+     * @param {number} [options.timeout] Default number of milliseconds that registered handlers
+     *   have to respond, before a HANDLER_TIMEOUT fatal error is sent instead. Disabled if missing.
+     * @param {function} [options.spanSink] Function(span) that receives the finished span of every
+     *   request made through this instance (see Span in tracing.js).
+     * @param {LuciusMetrics|boolean} [options.metrics] Metrics collector to use, eg. one shared by
+     *   several instances. Each instance creates its own if missing; false disables metrics.
+     * @param {object} [options.logger] Logger to use instead of the shared console logger. Either one made
+     *   with createLogger(), or any object with the usual level methods (error, warn, info, debug...).
+     * @param {LuciusRedactor|object|boolean} [options.redact] Redaction rules for a custom logger
+     *   that was not made with createLogger() (see LuciusRedactor).
+     * @param {string} [options.plugin] Name of the plugin the handlers belong to, for describe().
+     *   Defaults to the name given to pluginInit(), or the one of the Seneca plugin delegate.
+     * @param {LuciusContractRecorder} [options.contracts] Recorder for the messages handled and the
+     *   requests made by this instance, see contracts.js.
+     * @param {boolean} [options.strictMessages=false] Reject malformed response envelopes with a
+     *   TypeError (a fatal error of the request) instead of making the best of them.
+     * @param {number} [options.messageVersion] Envelope version that handlers answer in, eg. while
+     *   some consumers only know older versions. Defaults to the current version.
+     * @param {object} [options.idempotencyStore] Store for the responses of idempotent handlers,
+     *   see LuciusMemoryStore. Defaults to an in-memory one, per instance.
+     * @param {object} [options.cacheStore] Store for the responses cached by request(), see
+     *   LuciusMemoryStore. Defaults to an in-memory one, per instance.
+     * @param {boolean} [options.describe=true] Whether to add the `role:lucius,cmd:describe` pattern
+     *   to Seneca when the first handler is registered.
      * @memberof Lucius
      */
-    constructor(seneca) {
+    constructor(seneca, options = {}) {
         this.promisifiedAct = util.promisify(seneca.act, seneca);
         this.seneca = seneca;
+        this.options = Object.assign({
+            timeout: null,
+            spanSink: null,
+            describe: true,
+            strictMessages: false,
+            messageVersion: null,
+        }, options);
+        this.logger = this.options.logger ? logger.wrap(this.options.logger, {redact: this.options.redact}) : logger;
+        this.retryPolicies = {};
+        this.caches = {};
+        this.cacheStore = this.options.cacheStore || new LuciusMemoryStore();
+        this.breakers = {};
+        this.handlers = {};
+        this.idempotencyStore = this.options.idempotencyStore || new LuciusMemoryStore();
+        // idempotency keys of the messages being handled, see lockIdempotencyKey()
+        this.idempotencyPending = new Map();
+        this.pluginName = this.options.plugin || seneca.plugin && seneca.plugin.name || null;
+        this.metricsCollector = this.options.metrics instanceof LuciusMetrics ? this.options.metrics
+            : this.options.metrics === false ? null : new LuciusMetrics();
+    }
+
+    /**
+     * Add error definitions to the error registry (the `E` export).
+     * @param {object} definitions Error definitions keyed by code. Each must have
+     *   a `message(interpolationValues)` function returning string.
+     * @param {string} [namespace=null] Optionally prefix all codes with a namespace,
+     *   usually the plugin name, as `namespace.CODE`.
+     * @returns {object} The registered definitions, keyed by the codes as given.
+     * @throws {Error} If any of the codes is already registered.
+     * @memberof Lucius
+     */
+    static defineErrors(definitions, namespace = null) {
+        return E.define(definitions, namespace);
+    }
+
+    /**
+     * Set the locale that localized error messages fall back to when the
+     * session locale is missing or has no translation. Defaults to the
+     * LUCIUS_DEFAULT_LOCALE environment variable, or 'en'.
+     * @param {string} desiredLocale Locale code.
+     * @memberof Lucius
+     */
+    static setDefaultLocale(desiredLocale) {
+        locale.setDefaultLocale(desiredLocale);
     }
 
     /**
      * Create a message in internal format.
      * @param {LuciusMessage|any} [message=null] Optionally provide an existing
-     * message, as either a LuciusMessage or an exported variant of one. If this
-     * is missing it will create a new successful message with empty payload.
+     * message, as either a LuciusMessage or an exported variant of one, in any known
+     * envelope version. If this is missing it will create a new successful message with
+     * empty payload.
      * @returns {LuciusMessage}
+     * @throws {TypeError} If the message is malformed and strictMessages is on.
      * @memberof Lucius
      */
     makeMessage(message = null) {
         if (message && message instanceof LuciusMessage) {
             return message;
         }
-        return new LuciusMessage(message);
+        return new LuciusMessage(message, {strict: message !== null && this.options.strictMessages});
     }
 
     /**
@@ -89,21 +188,368 @@ class Lucius {
      * @param {object} [args={}] Extra arguments to be passed to seneca.act().
      * @param {object} [userInfo=null] If provided, and if args doesn't
      *   already carry user information in args.__, it will use this parameter.
+     *   A trace context found in `trace` is used as the parent of the request span.
      * @returns {LuciusMessage} A Lucius message instance.
      * @memberof Lucius
      */
     async request(pattern, args = {}, userInfo = null) {
         // if args doesn't already contain user info and it was provided explicitly,
-        // overwrite it in params
-        if (!args.__ && userInfo) {
-            args.__ = userInfo;
+        // use it instead
+        const session = args.__ || userInfo || {};
+        // every request gets its own span, which continues the trace found in the
+        // session info, if any; we work on a copy of the arguments so we don't alter
+        // the caller's, which may be reused for other requests
+        const trace = tracing.child(session.trace);
+        args = Object.assign({}, args, {__: Object.assign({}, session, {trace})});
+
+        // lookups of cached patterns may not need a request at all
+        const cache = this.caches[pattern];
+        const cacheKey = cache ? await this.getCacheKey(cache, pattern, args) : null;
+        if (cacheKey) {
+            const cached = await this.readCache(cache, pattern, cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const startTime = Date.now();
+        this.logger.debug.format('SENECA', 'SEND', pattern, args);
+        let response;
+        try {
+            response = await this.act(pattern, args);
+        } catch (e) {
+            tracing.exportSpan(this.options.spanSink, this.logger, trace, pattern, startTime, 'fatal');
+            this.recordMetrics(LuciusMetrics.OUTBOUND, pattern, startTime, e);
+            this.recordExchange(LuciusMetrics.OUTBOUND, pattern, args, e);
+            throw e;
+        }
+        this.logger.debug.format('SENECA', 'RECV', pattern, args, response);
+        const message = this.makeMessage(response);
+        tracing.exportSpan(this.options.spanSink, this.logger, trace, pattern, startTime,
+            message.isSuccessful() ? 'success' : 'failure');
+        this.recordMetrics(LuciusMetrics.OUTBOUND, pattern, startTime, message);
+        this.recordExchange(LuciusMetrics.OUTBOUND, pattern, args, message);
+        // only successful responses are cached, never failures
+        if (cacheKey && message.isSuccessful() && !message.isPartial()) {
+            await this.writeCache(cache, pattern, cacheKey, message);
+        }
+        return message;
+    }
+
+    /**
+     * Cache the successful responses of a pattern, so that request() answers the same arguments
+     * from the cache, for a while. Meant for read-only lookups, eg. configuration or reference data.
+     * @param {string} pattern Seneca message pattern, as passed to request().
+     * @param {object|null} [policy={}] Cache policy, or null to stop caching (cached responses are dropped).
+     * @param {number} [policy.ttl=60000] How long responses are cached, in milliseconds.
+     * @param {object} [policy.store] Store to use instead of the instance one, see LuciusMemoryStore.
+     * @param {function} [policy.key] Function(args, sessionInfo) returning the cache key of a request.
+     *   Defaults to the arguments (without the session info), so responses that depend on the
+     *   user should have a key that includes it. Requests with a null key are not cached.
+     * @memberof Lucius
+     */
+    setCache(pattern, policy = {}) {
+        if (policy === null) {
+            delete this.caches[pattern];
+            return;
+        }
+        policy = Object.assign({ttl: 60000, store: this.cacheStore, key: null}, policy);
+        if (policy.key !== null && typeof policy.key !== 'function') {
+            throw new TypeError('Cache key must be a function.');
+        }
+        // bumped to invalidate all the cached responses of the pattern at once
+        policy.generation = 0;
+        this.caches[pattern] = policy;
+    }
+
+    /**
+     * Drop cached responses of a pattern: the one for some arguments, or all of them.
+     * With a shared store, dropping all of them only affects this instance; the other
+     * instances keep using their cached responses until they expire.
+     * @param {string} pattern Seneca message pattern, as passed to setCache().
+     * @param {object} [args] Arguments of the cached request, session info included if the
+     *   cache key depends on it.
+     * @returns {Promise}
+     * @memberof Lucius
+     */
+    async invalidateCache(pattern, args = undefined) {
+        const cache = this.caches[pattern];
+        if (!cache) {
+            return;
+        }
+        if (typeof args === 'undefined') {
+            cache.generation++;
+            return;
+        }
+        const cacheKey = await this.getCacheKey(cache, pattern, args);
+        if (cacheKey) {
+            await cache.store.delete(cacheKey);
+        }
+    }
+
+    /**
+     * Build the store key of a request to a cached pattern.
+     * @param {object} cache Cache policy, see setCache().
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} args Seneca message arguments.
+     * @returns {Promise<?string>} The key, or null if the request is not to be cached.
+     * @memberof Lucius
+     */
+    async getCacheKey(cache, pattern, args) {
+        const filtered = util.filterCoreArgs(args);
+        const key = cache.key ? await cache.key(filtered, args.__ || {}) : util.stableStringify(filtered);
+        if (typeof key === 'undefined' || key === null) {
+            return null;
+        }
+        return [pattern, cache.generation, typeof key === 'string' ? key : util.stableStringify(key)].join('|');
+    }
+
+    /**
+     * Read a cached response. Store problems are logged and count as misses.
+     * @param {object} cache Cache policy, see setCache().
+     * @param {string} pattern Seneca message pattern.
+     * @param {string} cacheKey Store key, see getCacheKey().
+     * @returns {Promise<?LuciusMessage>}
+     * @memberof Lucius
+     */
+    async readCache(cache, pattern, cacheKey) {
+        try {
+            const cached = await cache.store.get(cacheKey);
+            if (cached) {
+                this.logger.debug.format('SENECA', 'CACHED', pattern, cacheKey);
+                // a copy, so callers can't alter the cached response
+                return this.makeMessage(JSON.parse(JSON.stringify(cached)));
+            }
+        } catch (e) {
+            this.logger.warning.format('SENECA', 'CACHE', pattern, cacheKey, e);
+        }
+        return null;
+    }
+
+    /**
+     * Cache a successful response. Store problems are logged, never passed on to the request.
+     * @param {object} cache Cache policy, see setCache().
+     * @param {string} pattern Seneca message pattern.
+     * @param {string} cacheKey Store key, see getCacheKey().
+     * @param {LuciusMessage} message The response.
+     * @returns {Promise}
+     * @memberof Lucius
+     */
+    async writeCache(cache, pattern, cacheKey, message) {
+        try {
+            await cache.store.set(cacheKey, JSON.parse(JSON.stringify(message.export())), cache.ttl);
+        } catch (e) {
+            this.logger.warning.format('SENECA', 'CACHE', pattern, cacheKey, e);
+        }
+    }
+
+    /**
+     * Walk through the items of a paginated pattern (see LuciusResponder.page()), making as
+     * many requests as needed and following the cursor of each page:
+     *
+     *     for await (const user of lucius.iterate('role:users,cmd:list', {limit: 100})) { ... }
+     *
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} [args={}] Message arguments, the same for every page.
+     * @param {object} [userInfo=null] Session info, see request().
+     * @param {object} [options={}] Iteration options.
+     * @param {string} [options.cursorArg='cursor'] Argument that carries the cursor of the next page.
+     *   It is left out of the first request, unless given in args.
+     * @returns {AsyncIterableIterator<any>} The items of all the pages, in order.
+     * @throws {LuciusSmuggleError} Carrying the failure message, if a page fails. Inside handlers,
+     *   this is answered as a failure, like with LuciusResponder.inquest().
+     * @throws {Error} If a page repeats the cursor it was requested with.
+     * @memberof Lucius
+     */
+    async *iterate(pattern, args = {}, userInfo = null, {cursorArg = 'cursor'} = {}) {
+        let cursor = args[cursorArg];
+        let hasMore = true;
+        while (hasMore) {
+            const pageArgs = Object.assign({}, args);
+            if (typeof cursor !== 'undefined' && cursor !== null) {
+                pageArgs[cursorArg] = cursor;
+            }
+            const message = await this.request(pattern, pageArgs, userInfo);
+            if (!message.isSuccessful()) {
+                throw new LuciusSmuggleError(message);
+            }
+            const pagination = message.getMeta('pagination') || {};
+            const items = message.getPayload();
+            yield* Array.isArray(items) ? items : [];
+            hasMore = !!pagination.hasMore && typeof pagination.cursor !== 'undefined' && pagination.cursor !== null;
+            if (hasMore && pagination.cursor === cursor) {
+                throw new Error(`Pattern '${pattern}' answered with the same cursor it was asked for.`);
+            }
+            cursor = pagination.cursor;
+        }
+    }
+
+    /**
+     * Record a finished message exchange with the contract recorder, if any.
+     * Recording problems are logged, never passed on to the exchange.
+     * @param {string} direction Either LuciusMetrics.INBOUND or LuciusMetrics.OUTBOUND.
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} args Seneca message arguments.
+     * @param {LuciusMessage|Error} outcome The response message, or the fatal error.
+     * @memberof Lucius
+     */
+    recordExchange(direction, pattern, args, outcome) {
+        if (!this.options.contracts) {
+            return;
+        }
+        try {
+            this.options.contracts.record(direction, pattern, args, outcome);
+        } catch (e) {
+            this.logger.warning.format('SENECA', 'CONTRACT', pattern, undefined, e);
+        }
+    }
+
+    /**
+     * Record a finished message in the metrics collector, if any.
+     * @param {string} direction Either LuciusMetrics.INBOUND or LuciusMetrics.OUTBOUND.
+     * @param {string} pattern Seneca message pattern.
+     * @param {number} startTime Timestamp of the start of the message, in milliseconds.
+     * @param {LuciusMessage|Error} outcome The response message, or the fatal error.
+     * @memberof Lucius
+     */
+    recordMetrics(direction, pattern, startTime, outcome) {
+        if (!this.metricsCollector) {
+            return;
+        }
+        const duration = Date.now() - startTime;
+        if (outcome instanceof LuciusMessage) {
+            const status = outcome.isSuccessful() ? 'success' : 'failure';
+            const codes = outcome.getErrors().map(e => e.code);
+            return this.metricsCollector.record(direction, pattern, status, duration, codes);
+        }
+        const fatal = this.getFatalError(outcome);
+        return this.metricsCollector.record(direction, pattern, 'fatal', duration, fatal && fatal.code ? [fatal.code] : []);
+    }
+
+    /**
+     * Get the metrics collected by this instance.
+     * @returns {?object} See LuciusMetrics.snapshot(), or null if metrics are disabled.
+     * @memberof Lucius
+     */
+    metrics() {
+        return this.metricsCollector ? this.metricsCollector.snapshot() : null;
+    }
+
+    /**
+     * Get the metrics collected by this instance in the Prometheus text format.
+     * @param {string} [prefix='lucius'] Prefix of the metric names.
+     * @returns {string}
+     * @memberof Lucius
+     */
+    prometheusMetrics(prefix = 'lucius') {
+        return this.metricsCollector ? this.metricsCollector.toPrometheus(prefix) : '';
+    }
+
+    /**
+     * Calls seneca.act(), applying the retry policy and circuit breaker of the
+     * pattern, if any. Only fatal errors are retried; failure messages are
+     * valid responses and are returned as they are.
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} args Seneca message arguments.
+     * @returns {Promise<any>} The raw Seneca response.
+     * @throws {LuciusError} CIRCUIT_OPEN if the circuit breaker of the pattern is open.
+     * @memberof Lucius
+     */
+    async act(pattern, args) {
+        const policy = this.retryPolicies[pattern];
+        const breaker = this.breakers[pattern];
+        const attempts = policy ? policy.attempts : 1;
+        for (let attempt = 1; ; attempt++) {
+            if (breaker) {
+                breaker.enter();
+            }
+            try {
+                const response = await this.promisifiedAct.apply(this.seneca, [pattern, args]);
+                if (breaker) {
+                    breaker.success();
+                }
+                return response;
+            } catch (e) {
+                if (breaker) {
+                    breaker.failure();
+                }
+                if (attempt >= attempts) {
+                    throw e;
+                }
+                const wait = this.getRetryDelay(policy, attempt);
+                this.logger.warning.format('SENECA', 'RETRY', pattern, `attempt ${attempt + 1}/${attempts} in ${wait}ms`,
+                    this.getFatalError(e));
+                await util.sleep(wait);
+            }
+        }
+    }
+
+    /**
+     * Compute how long to wait before retrying: exponential backoff, capped,
+     * and reduced by a random amount of up to `jitter` of its value.
+     * @param {object} policy A retry policy, as set by setRetryPolicy().
+     * @param {number} attempt The number of the attempt that just failed, starting with 1.
+     * @returns {number} Milliseconds.
+     * @memberof Lucius
+     */
+    getRetryDelay(policy, attempt) {
+        const delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(delay * (1 - Math.random() * policy.jitter));
+    }
+
+    /**
+     * Retry requests made to a pattern when they end with a fatal error.
+     * @param {string} pattern Seneca message pattern, as passed to request().
+     * @param {object|null} policy Retry policy, or null to remove it.
+     * @param {number} [policy.attempts=3] Maximum number of attempts, including the first one.
+     * @param {number} [policy.delay=100] Milliseconds to wait before the first retry.
+     * @param {number} [policy.factor=2] Multiplier applied to the delay after each retry.
+     * @param {number} [policy.maxDelay=5000] Upper limit of the delay.
+     * @param {number} [policy.jitter=0.5] Fraction (0 to 1) of the delay that is randomized.
+     * @memberof Lucius
+     */
+    setRetryPolicy(pattern, policy) {
+        if (!policy) {
+            delete this.retryPolicies[pattern];
+            return;
+        }
+        policy = Object.assign({attempts: 3, delay: 100, factor: 2, maxDelay: 5000, jitter: 0.5}, policy);
+        if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+            throw new TypeError('Retry attempts must be a positive integer.');
+        }
+        if (!(policy.jitter >= 0 && policy.jitter <= 1)) {
+            throw new TypeError('Retry jitter must be between 0 and 1.');
+        }
+        this.retryPolicies[pattern] = policy;
+    }
+
+    /**
+     * Guard requests made to a pattern with a circuit breaker.
+     * @param {string} pattern Seneca message pattern, as passed to request().
+     * @param {object|null} [options={}] Breaker options (see LuciusCircuitBreaker), or null to remove it.
+     * @returns {?LuciusCircuitBreaker} The breaker.
+     * @memberof Lucius
+     */
+    setCircuitBreaker(pattern, options = {}) {
+        if (options === null) {
+            delete this.breakers[pattern];
+            return null;
         }
+        this.breakers[pattern] = new LuciusCircuitBreaker(pattern, Object.assign({logger: this.logger}, options));
+        return this.breakers[pattern];
+    }
 
-        const params = [pattern, args];
-        logger.debug.format('SENECA', 'SEND', pattern, params);
-        const response = await this.promisifiedAct.apply(this.seneca, params);
-        logger.debug.format('SENECA', 'RECV', pattern, params, response);
-        return this.makeMessage(response);
+    /**
+     * Report the state of all circuit breakers, eg. for a health endpoint.
+     * @returns {object} Breaker states (see LuciusCircuitBreaker.inspect()), keyed by pattern.
+     * @memberof Lucius
+     */
+    getCircuitBreakers() {
+        const out = {};
+        Object.keys(this.breakers).forEach(pattern => {
+            out[pattern] = this.breakers[pattern].inspect();
+        });
+        return out;
     }
 
     /**
@@ -117,7 +563,9 @@ class Lucius {
      * @memberof Lucius
      */
     pluginInit(pluginName, customCallback = undefined) {
+        this.pluginName = this.pluginName || pluginName;
         const seneca = this.seneca;
+        const logger = this.logger;
         seneca.add(`init:${pluginName}`, function (args, next) {
             const ready = (...params) => {
                 logger.debug.format('SENECA', 'PLUGIN', pluginName, args);
@@ -135,76 +583,536 @@ class Lucius {
         });
     }
 
+    /**
+     * Compile a JSON schema into a validation function.
+     * @param {string|object|function} schema JSON schema, either as object or as JSON string.
+     *   Functions are assumed to be already compiled and are returned unchanged.
+     * @returns {?function} The ajv validation function, or null if schema is falsey.
+     * @throws {Error} If the schema is not valid JSON or not a valid JSON schema.
+     * @memberof Lucius
+     */
+    compileSchema(schema) {
+        if (!schema) {
+            return null;
+        }
+        if (typeof schema === 'function') {
+            return schema;
+        }
+        return ajv.compile(typeof schema === 'string' ? JSON.parse(schema) : schema);
+    }
+
+    /**
+     * Build a LuciusError that carries the failures reported by an ajv validation function.
+     * @param {string|object} code Registry error code or definition.
+     * @param {function} validate The ajv validation function that failed.
+     * @returns {LuciusError}
+     * @memberof Lucius
+     */
+    makeValidationError(code, validate) {
+        const e = new LuciusError(code);
+        e.details = (validate.errors || []).map(({keyword, dataPath, message, params}) => ({
+            path: dataPath,
+            keyword,
+            message,
+            params,
+        }));
+        return e;
+    }
+
     /**
      * Verify the given arguments against a JSON schema.
-     * @param {any} inputSchema JSON schema to check args against. Check will be skipped if schema is falsey.
+     * @param {function|string|object} inputSchema Compiled validation function or JSON schema
+     *   to check args against. Check will be skipped if schema is falsey.
      * @param {any} args The input arguments to be checked.
      * @param {any} senecaPattern Seneca messaging pattern to which the arguments were addressed.
      * @param {any} senecaArgs Complete Seneca argument object.
+     * @param {object} [handlerLogger] Logger of the handler, see register(). Defaults to the instance one.
+     * @returns {?LuciusError} A VALIDATION_FAILED error, or null if the arguments are valid.
      * @memberof Lucius
      */
-    validateInputSchema(inputSchema, args, senecaPattern, senecaArgs) {
-        if (inputSchema) {
-            const validate = ajv.compile(JSON.parse(inputSchema));
-            if (!validate(args)) {
-                logger.error.format('SENECA', 'INPUT-VALIDATION', senecaPattern, senecaArgs, ajv.errors);
-                throw new Error('Input arguments failed schema validation.');
-            }
+    validateInputSchema(inputSchema, args, senecaPattern, senecaArgs, handlerLogger = this.logger) {
+        const validate = this.compileSchema(inputSchema);
+        if (validate && !validate(args)) {
+            handlerLogger.error.format('SENECA', 'INPUT-VALIDATION', senecaPattern, senecaArgs, validate.errors);
+            return this.makeValidationError(E.VALIDATION_FAILED, validate);
         }
+        return null;
     }
 
     /**
      * Verify the given output payload against a JSON schema.
-     * @param {any} outputSchema JSON schema to check payload against. Check will be skipped if schema is falsey.
+     * @param {function|string|object} outputSchema Compiled validation function or JSON schema
+     *   to check payload against. Check will be skipped if schema is falsey.
      * @param {any} payload The output payload to be checked.
      * @param {any} senecaPattern Seneca messaging pattern to which the arguments were addressed.
      * @param {any} senecaArgs Complete Seneca argument object.
+     * @param {object} [handlerLogger] Logger of the handler, see register(). Defaults to the instance one.
+     * @returns {?LuciusError} An INVALID_OUTPUT error, or null if the payload is valid.
+     * @memberof Lucius
+     */
+    validateOutputSchema(outputSchema, payload, senecaPattern, senecaArgs, handlerLogger = this.logger) {
+        const validate = this.compileSchema(outputSchema);
+        if (validate && !validate(payload)) {
+            handlerLogger.error.format('SENECA', 'OUTPUT-VALIDATION', senecaPattern, senecaArgs, validate.errors);
+            return this.makeValidationError(E.INVALID_OUTPUT, validate);
+        }
+        return null;
+    }
+
+    /**
+     * Tell apart a JSON schema given as third register() parameter from an options object.
+     * @param {any} value The third register() parameter.
+     * @returns {boolean} True if it has JSON schema keywords and none of the option keys.
+     * @memberof Lucius
+     */
+    static isLegacySchema(value) {
+        if (!value || typeof value !== 'object') {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.some(key => SCHEMA_KEYWORDS.includes(key)) && !keys.some(key => REGISTER_OPTIONS.includes(key));
+    }
+
+    /**
+     * Find a handler registered through this instance.
+     * @param {string} pattern Seneca message pattern. The order of its parts doesn't matter.
+     * @returns {?object} The handler `{pattern, input, output, inputValidator, outputValidator,
+     *   description, errors, authorization, plugin, registeredAt}`, or null if no handler was registered for the pattern.
+     * @memberof Lucius
+     */
+    getHandler(pattern) {
+        return this.handlers[util.canonicalPattern(pattern)] || null;
+    }
+
+    /**
+     * List the handlers registered through this instance, see getHandler().
+     * @returns {object[]}
+     * @memberof Lucius
+     */
+    getHandlers() {
+        return Object.keys(this.handlers).map(key => this.handlers[key]);
+    }
+
+    /**
+     * Describe the handlers registered through this instance, eg. for ops tooling. Schemas
+     * given as JSON strings are parsed, so the result can be serialized.
+     * @returns {Array<{pattern: string, input: ?object, output: ?object, description: ?string,
+     *   errors: string[], plugin: ?string, registeredAt: string}>}
+     * @memberof Lucius
+     */
+    describe() {
+        const schema = value => typeof value === 'string' ? JSON.parse(value)
+            : typeof value === 'function' ? value.schema || null : value;
+        return this.getHandlers().map(({pattern, input, output, description, errors, plugin, registeredAt}) => ({
+            pattern,
+            input: schema(input),
+            output: schema(output),
+            description,
+            errors: errors.slice(),
+            plugin,
+            registeredAt: registeredAt.toISOString(),
+        }));
+    }
+
+    /**
+     * Add the `role:lucius,cmd:describe` pattern to Seneca, unless already there. It answers with
+     * the handlers registered through all the Lucius instances of the same (root) Seneca instance.
+     * @memberof Lucius
+     */
+    addDescribePattern() {
+        const root = this.seneca.root || this.seneca;
+        if (describers.has(root)) {
+            describers.get(root).add(this);
+            return;
+        }
+        const instances = new Set([this]);
+        describers.set(root, instances);
+        this.register(DESCRIBE_PATTERN, async function (responder) {
+            const handlers = [];
+            instances.forEach(instance => handlers.push(...instance.describe()));
+            return responder.success({handlers});
+        }, {
+            description: 'Describe the handlers registered through Lucius.',
+            plugin: 'lucius',
+        });
+    }
+
+    /**
+     * Build the Seneca pattern of a domain event.
+     * @param {string} eventName Event name, eg. `users.created`.
+     * @returns {string}
+     * @throws {TypeError} If the name could not be part of a pattern.
      * @memberof Lucius
      */
-    validateOutputSchema(outputSchema, payload, senecaPattern, senecaArgs) {
-        if (outputSchema) {
-            const validate = ajv.compile(JSON.parse(outputSchema));
-            if (!validate(payload)) {
-                logger.error.format('SENECA', 'OUTPUT-VALIDATION', senecaPattern, senecaArgs, validate.errors);
-                throw new Error('Returned payload failed schema validation.');
+    getEventPattern(eventName) {
+        if (typeof eventName !== 'string' || !/^[\w.-]+$/.test(eventName)) {
+            throw new TypeError(`Invalid event name '${eventName}', only letters, digits, '_', '.' and '-' are allowed.`);
+        }
+        return EVENT_ROLE + eventName;
+    }
+
+    /**
+     * Broadcast a domain event to its subscribers, fire-and-forget: the event is sent without
+     * waiting for the subscribers, and delivery problems are only logged.
+     * @param {string} eventName Event name, eg. `users.created`.
+     * @param {object} [payload={}] What happened.
+     * @param {object} [userInfo=null] Session info to pass along, like for request(). A trace
+     *   context found in `trace` is used as the parent of the event span.
+     * @memberof Lucius
+     */
+    publish(eventName, payload = {}, userInfo = null) {
+        const pattern = this.getEventPattern(eventName);
+        const args = {payload, __: Object.assign({}, userInfo, {trace: tracing.child(userInfo && userInfo.trace)})};
+        this.logger.debug.format('SENECA', 'PUBLISH', pattern, args);
+        this.promisifiedAct.apply(this.seneca, [pattern, args]).catch(e => {
+            const fatal = this.getFatalError(e);
+            // nobody listening is not a problem for the publisher
+            if (fatal && fatal.code === 'act_not_found') {
+                this.logger.debug.format('SENECA', 'NO-SUBSCRIBERS', pattern, args);
+                return;
+            }
+            this.logger.error.format('SENECA', 'PUBLISH', pattern, args, fatal);
+        });
+    }
+
+    /**
+     * Subscribe to a domain event. All the subscribers of the service (of any Lucius instance
+     * of the same Seneca instance) get every event, and their errors don't affect the publisher
+     * or the other subscribers; they are logged, like invalid payloads, which are not delivered.
+     * @param {string} eventName Event name, eg. `users.created`.
+     * @param {function} handler Async function(payload, sessionInfo, eventName).
+     * @param {object} [options={}] Subscription options.
+     * @param {string|object} [options.schema] JSON schema of the payload.
+     * @returns {function} A function that cancels the subscription.
+     * @memberof Lucius
+     */
+    subscribe(eventName, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Event handler must be a function.');
+        }
+        const pattern = this.getEventPattern(eventName);
+        const root = this.seneca.root || this.seneca;
+        if (!subscriptions.has(root)) {
+            subscriptions.set(root, new Map());
+        }
+        const events = subscriptions.get(root);
+        const subscription = {lucius: this, handler, validator: this.compileSchema(options && options.schema)};
+        if (events.has(eventName)) {
+            events.get(eventName).add(subscription);
+        }
+        else {
+            const subscribers = new Set([subscription]);
+            events.set(eventName, subscribers);
+            // one pattern per event, answered right away, since publishers don't wait
+            this.seneca.add(pattern, (senecaArgs, done) => {
+                done(null, {});
+                const sessionInfo = senecaArgs.__ || {};
+                const payload = senecaArgs.payload;
+                subscribers.forEach(({lucius, handler, validator}) => {
+                    lucius.deliver(pattern, senecaArgs, handler, validator, payload, sessionInfo, eventName);
+                });
+            });
+        }
+        return () => {
+            events.get(eventName).delete(subscription);
+        };
+    }
+
+    /**
+     * Deliver an event to one subscriber, logging its errors instead of passing them on.
+     * @param {string} pattern Seneca pattern of the event.
+     * @param {object} senecaArgs Complete Seneca argument object.
+     * @param {function} handler The subscriber.
+     * @param {?function} validator Compiled schema of the payload, if any.
+     * @param {any} payload Event payload.
+     * @param {object} sessionInfo Session info of the publisher.
+     * @param {string} eventName Event name.
+     * @returns {Promise}
+     * @memberof Lucius
+     */
+    async deliver(pattern, senecaArgs, handler, validator, payload, sessionInfo, eventName) {
+        try {
+            if (validator && !validator(payload)) {
+                this.logger.error.format('SENECA', 'EVENT-VALIDATION', pattern, senecaArgs, validator.errors);
+                return;
             }
+            this.logger.debug.format('SENECA', 'EVENT', pattern, senecaArgs);
+            await handler.apply(this.seneca, [payload, sessionInfo, eventName]);
+        } catch (e) {
+            this.logger.error.format('SENECA', 'SUBSCRIBER', pattern, senecaArgs, e);
+        }
+    }
+
+    /**
+     * Find the store key of a message of an idempotent handler: its idempotency key, scoped by
+     * pattern and user. Messages without a key have none, and so do messages without a user ID,
+     * whose keys could collide with the ones of other anonymous callers.
+     * @param {{key: string|function}} idempotency Handler settings.
+     * @param {string} senecaPattern The Seneca message pattern of the handler.
+     * @param {object} senecaArgs Complete Seneca argument object.
+     * @returns {Promise<?string>}
+     * @throws {Error} If the key function fails.
+     * @memberof Lucius
+     */
+    async idempotencyKey({key}, senecaPattern, senecaArgs) {
+        const session = senecaArgs.__ || {};
+        const args = util.filterCoreArgs(senecaArgs);
+        const value = typeof key === 'function' ? await key(args, session)
+            : typeof args[key] !== 'undefined' ? args[key] : session[key];
+        const user = authorization.findUserId(session);
+        if (typeof value === 'undefined' || value === null || value === '' || !user) {
+            return null;
+        }
+        return [util.canonicalPattern(senecaPattern), user, value].join('|');
+    }
+
+    /**
+     * Wait until no other message with the same idempotency key is being handled, then
+     * mark the key as being handled by this one.
+     * @param {string} storeKey See idempotencyKey().
+     * @returns {Promise<function>} Function that releases the key.
+     * @memberof Lucius
+     */
+    async lockIdempotencyKey(storeKey) {
+        while (this.idempotencyPending.has(storeKey)) {
+            await this.idempotencyPending.get(storeKey);
         }
+        let release;
+        this.idempotencyPending.set(storeKey, new Promise(resolve => {
+            release = () => {
+                this.idempotencyPending.delete(storeKey);
+                resolve();
+            };
+        }));
+        return release;
     }
 
     /**
      * This is a version of seneca.add() which requires an async callback
-     * with the signature (responder, args), where responder is an object
+     * with the signature (responder, args, sessionInfo), where responder is an object
      * that can be used to return standardized payloads and will also call
      * next() for you.
+     *
+     * For backwards compatibility, the input and output schemas can also be given as
+     * third and fourth positional parameters. A third parameter is taken for a schema
+     * when it is a JSON string, or an object with JSON schema keywords and no option keys.
      * @param {string} senecaPattern The Seneca message pattern to be registered.
-     * @param {function} ourCallback Async callback(responder, args).
-     * @param {any} [inputSchema=null] Optionally provide a JSON schema against which to check the input parameters.
-     * @param {any} [outputSchema=null] Optionally provide a JSON schema against which to check the output payload.
+     * @param {function} ourCallback Async callback(responder, args, sessionInfo).
+     * @param {object} [options={}] Handler options.
+     * @param {string|object} [options.input] Optionally provide a JSON schema against which to check
+     *   the input parameters. Failures are answered with a VALIDATION_FAILED failure message.
+     *   Properties marked with `sensitive: true` in the input and output schemas are redacted from logs.
+     * @param {string|object} [options.output] Optionally provide a JSON schema against which to check
+     *   the output payload. Failures are answered with an INVALID_OUTPUT failure message.
+     * @param {function[]} [options.before] Callbacks(responder, args, sessionInfo) that run, in order,
+     *   before the handler. They can mutate args and sessionInfo, or respond themselves (eg. with
+     *   responder.failure()), in which case the rest of the hooks and the handler are skipped.
+     * @param {function[]} [options.after] Callbacks(responder, message) that run, in order, on the
+     *   outgoing LuciusMessage before it is passed to next().
+     * @param {number} [options.timeout] Number of milliseconds the handler has to respond, before
+     *   a HANDLER_TIMEOUT fatal error is sent instead. Defaults to the instance timeout; 0 disables it.
+     * @param {string} [options.description] Human-readable description of the handler.
+     * @param {Array<string|object>} [options.errors] Registry codes (or definitions) of the errors the
+     *   handler can fail with, for documentation purposes.
+     * @param {string} [options.plugin] Name of the plugin the handler belongs to, for describe().
+     *   Defaults to the plugin name of the instance.
+     * @param {boolean|object} [options.idempotency] Make the handler idempotent: messages with an
+     *   idempotency key already seen are answered with the stored response, without running the
+     *   handler again. `true` takes the key from `args.idempotencyKey` or `sessionInfo.idempotencyKey`.
+     *   Keys are checked after authorization, and only for messages with a user ID to scope them by.
+     * @param {string|function} [options.idempotency.key='idempotencyKey'] Name of the argument (or
+     *   session info property) with the key, or (possibly async) function(args, sessionInfo) returning it.
+     * @param {number} [options.idempotency.ttl=3600000] How long responses are stored, in milliseconds.
+     * @param {object} [options.idempotency.store] Store to use instead of the instance one.
+     * @param {object} [options.limits] Limits on the executions of the handler, see LuciusLimiter:
+     *   `{concurrency, queue, rate: {limit, interval, burst}, perUser}`. Messages over the limits
+     *   are answered with a RATE_LIMITED failure message. Limits apply after authorization and
+     *   idempotency, so denied and replayed messages don't count.
+     * @param {AuthorizationPolicy|function|string[]} [options.authorize] Authorization policy, checked
+     *   first, before the limits, the before hooks and input validation (see authorization.js). A function is
+     *   a custom check, an array is a list of roles. Denials are answered with UNAUTHENTICATED or
+     *   FORBIDDEN failure messages.
+     * @throws {TypeError} If the options contain unknown keys.
      * @memberof Lucius
      */
-    register(senecaPattern, ourCallback, inputSchema = null, outputSchema = null) {
+    register(senecaPattern, ourCallback, options = {}) {
+        // support the legacy (senecaPattern, ourCallback, inputSchema, outputSchema) signature
+        if (typeof options === 'string' || arguments.length > 3 || Lucius.isLegacySchema(options)) {
+            options = {input: arguments[2], output: arguments[3]};
+        }
+        const unknown = Object.keys(options || {}).filter(key => !REGISTER_OPTIONS.includes(key));
+        if (unknown.length) {
+            throw new TypeError(`Unknown register() option(s): ${unknown.join(', ')}.`);
+        }
+        const {input = null, output = null, description = null} = options || {};
+        const before = [].concat(options && options.before || []);
+        const after = [].concat(options && options.after || []);
+        const timeout = options && options.timeout !== undefined ? options.timeout : this.options.timeout;
+        const policy = authorization.normalize(options && options.authorize);
+        const limiter = options && options.limits ? new LuciusLimiter(senecaPattern, options.limits) : null;
+        const idempotency = options && options.idempotency ? Object.assign({
+            key: 'idempotencyKey',
+            ttl: 3600000,
+            store: this.idempotencyStore,
+        }, options.idempotency === true ? {} : options.idempotency) : null;
+        const errors = [].concat(options && options.errors || []).map(error => {
+            const code = error && typeof error === 'object' ? error.code : error;
+            if (!E.has(code)) {
+                throw new Error(`Unknown message code '${code}'.`);
+            }
+            return code;
+        });
         // log the registration of this handler
-        logger.debug.format('SENECA', 'REGISTER', senecaPattern);
+        this.logger.debug.format('SENECA', 'REGISTER', senecaPattern, description || undefined);
         // we require handler to be async, to facilitate the use of await inside it
         if (!util.isAsyncFunction(ourCallback)) {
             throw new TypeError('Callback was not declared async.');
         }
+        [...before, ...after].forEach((hook, index) => {
+            if (typeof hook !== 'function') {
+                throw new TypeError(`Hook at index ${index} must be a function.`);
+            }
+        });
+        // compile the schemas only once, at registration time
+        const inputValidator = this.compileSchema(input);
+        const outputValidator = this.compileSchema(output);
+        // remember what was registered, see getHandler()
+        this.handlers[util.canonicalPattern(senecaPattern)] = {
+            pattern: senecaPattern,
+            input,
+            output,
+            inputValidator,
+            outputValidator,
+            description,
+            errors,
+            authorization: policy,
+            limits: limiter ? options.limits : null,
+            plugin: options && options.plugin || this.pluginName,
+            registeredAt: new Date(),
+        };
+        // keep the fields marked as sensitive out of the logs of this handler
+        const sensitive = [input, output].filter(schema => schema && typeof schema !== 'function')
+            .reduce((paths, schema) => paths.concat(LuciusRedactor.schemaPaths(schema)), []);
+        const handlerLogger = sensitive.length ? logger.withRedaction(this.logger, {paths: sensitive}) : this.logger;
+        if (this.options.describe) {
+            this.addDescribePattern();
+        }
         // we fabricate a callback which observes the signature that Seneca expects
         const senecaCallback = async (senecaArgs, next) => {
-            const responder = new LuciusResponder(this, next, senecaPattern, senecaArgs, outputSchema);
+            // make sure there is a trace context, even if the caller didn't send one
+            senecaArgs.__ = senecaArgs.__ || {};
+            if (!senecaArgs.__.trace) {
+                senecaArgs.__.trace = tracing.child();
+            }
+            // idempotent handlers answer through a callback that stores the response
+            let answer = next;
+            const responder = new LuciusResponder(this, (err, result) => answer(err, result), senecaPattern, senecaArgs, {
+                outputValidator,
+                after,
+                timeout,
+                logger: handlerLogger,
+            });
+            // idempotency key being handled, and the response being stored for it
+            let release = null;
+            let storing = null;
+            // place taken in the limits of the handler
+            let releaseLimit = null;
             try {
                 // log the entrance into the handler
-                logger.debug.format('SENECA', 'ENTER', senecaPattern, senecaArgs);
+                handlerLogger.debug.format('SENECA', 'ENTER', senecaPattern, senecaArgs);
                 // extract the parts that interest us from the seneca arguments
-                const sessionInfo = senecaArgs.__ || {};
+                const sessionInfo = senecaArgs.__;
                 const argPayload = util.filterCoreArgs(senecaArgs);
+                // check the authorization policy, if any, before anything else looks at the request
+                if (policy) {
+                    const denied = await authorization.authorize(policy, argPayload, sessionInfo, senecaPattern);
+                    if (denied) {
+                        handlerLogger.warning.format('SENECA', 'DENIED', senecaPattern, senecaArgs,
+                            `user ${authorization.userId(sessionInfo)}`, denied.code);
+                        return responder.failure(denied);
+                    }
+                }
+                // repeated messages of idempotent handlers get the stored response, once authorized
+                const storeKey = idempotency ? await this.idempotencyKey(idempotency, senecaPattern, senecaArgs) : null;
+                if (storeKey) {
+                    const {store, ttl} = idempotency;
+                    release = await this.lockIdempotencyKey(storeKey);
+                    if (responder.hasResponded()) {
+                        // timed out while waiting for the key
+                        return;
+                    }
+                    let stored = null;
+                    try {
+                        stored = await store.get(storeKey);
+                    } catch (e) {
+                        handlerLogger.warning.format('SENECA', 'IDEMPOTENCY', senecaPattern, senecaArgs, e);
+                    }
+                    if (stored) {
+                        responder.markResponded();
+                        handlerLogger.debug.format('SENECA', 'REPLAY', senecaPattern, senecaArgs, storeKey);
+                        return next(null, stored);
+                    }
+                    answer = (err, result) => {
+                        // fatal errors are not stored, so they can be retried, and neither are
+                        // rate limited messages, which weren't handled
+                        const limited = result && Array.isArray(result.errors)
+                            && result.errors.some(({code}) => code === E.RATE_LIMITED.code);
+                        if (!err && !limited) {
+                            // store a copy, so later changes to the response don't leak into replays
+                            const copy = JSON.parse(JSON.stringify(result));
+                            storing = Promise.resolve().then(() => store.set(storeKey, copy, ttl)).catch(e => {
+                                handlerLogger.warning.format('SENECA', 'IDEMPOTENCY', senecaPattern, senecaArgs, e);
+                            });
+                        }
+                        return next(err, result);
+                    };
+                }
+                // wait for our turn, if the handler has limits
+                if (limiter) {
+                    releaseLimit = await limiter.acquire(argPayload, sessionInfo);
+                    if (releaseLimit instanceof LuciusError) {
+                        handlerLogger.warning.format('SENECA', 'LIMITED', senecaPattern, senecaArgs,
+                            `user ${authorization.userId(sessionInfo)}`);
+                        return responder.failure(releaseLimit);
+                    }
+                    // the message may have timed out while waiting, and then it's too late to handle
+                    // it; the place is given back by finally, below
+                    if (responder.hasResponded()) {
+                        return;
+                    }
+                }
+                // run the before hooks, stopping as soon as one of them responds
+                for (let i = 0; i < before.length; i++) {
+                    await before[i].apply(this.seneca, [responder, argPayload, sessionInfo]);
+                    if (responder.hasResponded()) {
+                        return;
+                    }
+                }
                 // validate input arguments against schema, if any
-                this.validateInputSchema(inputSchema, argPayload, senecaPattern, senecaArgs);
+                const invalid = this.validateInputSchema(inputValidator, argPayload, senecaPattern, senecaArgs, handlerLogger);
+                if (invalid) {
+                    return responder.failure(invalid);
+                }
                 // we delegate to the custom callback, then sit back
                 // and wait for it to call one of the responder methods
                 await ourCallback.apply(this.seneca, [responder, argPayload, sessionInfo]);
+                // handlers usually respond by the time they resolve, but they may also respond
+                // later (eg. from a callback); hung requests are left to the timeout
+                if (!responder.hasResponded()) {
+                    handlerLogger.warning.format('SENECA', 'NO-RESPONSE', senecaPattern, senecaArgs, 'handler resolved without responding');
+                }
             } catch (e) {
                 return responder.fatal(e);
+            } finally {
+                if (typeof releaseLimit === 'function') {
+                    releaseLimit();
+                }
+                // the key stays locked until the handler is done, even if it timed out,
+                // so that it can't run twice for the same key at the same time
+                if (release) {
+                    await storing;
+                    release();
+                }
             }
         };
         // call the real deal, seneca.add()
@@ -213,4 +1121,6 @@ class Lucius {
 
 }
 
+Lucius.DESCRIBE_PATTERN = DESCRIBE_PATTERN;
+
 module.exports = Lucius;
@@ -18,30 +18,165 @@
  * @property {string} message - Succint message describing the error for developers.
  * @property {string} code - Machine-readable code used to identify the error.
  * @property {string} __marker - Marker used for internal purposes.
+ * @property {string} [locale] - Locale the message was resolved in, if localized.
+ * @property {object[]} [details] - Extra information about the error, eg. schema validation failures.
+ * @property {string|number} [path] - Item the error is about, eg. the index in a batch, for per-item
+ *   errors of partially successful messages and for warnings.
  */
 
 /**
  * @typedef MessageContent
  * @type {object}
+ * @property {number} version - Version of the envelope format. Missing in version 1.
  * @property {boolean} success - Indicates the message success state. Defaults to true.
  * @property {ErrorEntry[]} errors - Array of error objects.
  * @property {any} payload - Arbitrary data load.
+ * @property {object} meta - Metadata slots, eg. warnings, pagination, trace. Since version 2.
  */
 
+// migrations between envelope versions, keyed by the version they start from;
+// upgrade(content) goes from version n to n + 1, downgrade(content) back
+const migrations = {};
+// keys that strict mode accepts on envelopes, besides version
+const knownKeys = ['success', 'errors', 'payload'];
+let currentVersion = 1;
+
+/**
+ * Register the upgrade and downgrade functions between an envelope version and the next one.
+ * The highest version that can be reached becomes the one messages are created in.
+ *
+ * @param {number} fromVersion The version upgrade() starts from, and downgrade() ends in.
+ * @param {object} migration Migration functions.
+ * @param {function} migration.upgrade Function(content) returning the content in the next version.
+ * @param {function} migration.downgrade Function(content) returning the content in fromVersion.
+ * @param {string[]} [migration.keys=[]] Keys that the next version adds to the envelope.
+ */
+const registerMigration = (fromVersion, {upgrade, downgrade, keys = []}) => {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new TypeError('Parameter "fromVersion" must be a positive integer.');
+    }
+    if (typeof upgrade !== 'function' || typeof downgrade !== 'function') {
+        throw new TypeError(`Migration from version ${fromVersion} must have upgrade and downgrade functions.`);
+    }
+    if (migrations.hasOwnProperty(fromVersion)) {
+        throw new Error(`Migration from version ${fromVersion} is already registered.`);
+    }
+    migrations[fromVersion] = {upgrade, downgrade};
+    keys.filter(key => knownKeys.indexOf(key) === -1).forEach(key => knownKeys.push(key));
+    while (migrations.hasOwnProperty(currentVersion)) {
+        currentVersion++;
+    }
+};
+
+/**
+ * Bring envelope content from one version to another, one version at a time.
+ *
+ * @param {object} content Envelope content, without the version key.
+ * @param {number} from The version of the content.
+ * @param {number} to The desired version.
+ * @returns {object} The migrated content, without the version key.
+ * @throws {Error} If a migration step is missing.
+ */
+const migrate = (content, from, to) => {
+    while (from !== to) {
+        const step = from < to ? from : from - 1;
+        if (!migrations.hasOwnProperty(step)) {
+            throw new Error(`Cannot migrate message envelope from version ${from} to ${to}.`);
+        }
+        content = from < to ? migrations[step].upgrade(content) : migrations[step].downgrade(content);
+        from = from < to ? from + 1 : from - 1;
+    }
+    return content;
+};
+
+const hasPath = entry => typeof entry.path === 'string' || typeof entry.path === 'number';
+
+/**
+ * Build the stored form of an error or warning entry.
+ *
+ * @param {ErrorEntry} error An error definition.
+ * @returns {ErrorEntry}
+ */
+const makeEntry = ({message, code, marker, locale, details, path}) => {
+    if (typeof message !== 'string') {
+        throw new TypeError('Parameter "message" must be string.');
+    }
+    if (typeof code !== 'string') {
+        throw new TypeError('Parameter "code" must be string.');
+    }
+    const entry = {message, code, marker};
+    if (locale) {
+        entry.locale = locale;
+    }
+    if (details) {
+        entry.details = details;
+    }
+    if (typeof path !== 'undefined' && path !== null) {
+        entry.path = path;
+    }
+    return entry;
+};
+
+/**
+ * Check an envelope for strict mode.
+ *
+ * @param {any} envelope The envelope, as received.
+ * @returns {string[]} Problems found, if any.
+ */
+const envelopeProblems = envelope => {
+    if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+        return ['envelope must be an object'];
+    }
+    const problems = [];
+    const version = envelope.hasOwnProperty('version') ? envelope.version : 1;
+    if (!Number.isInteger(version) || version < 1 || version > currentVersion) {
+        problems.push(`unknown version ${version}`);
+    }
+    if (typeof envelope.success !== 'boolean') {
+        problems.push('"success" must be boolean');
+    }
+    if (!Array.isArray(envelope.errors)) {
+        problems.push('"errors" must be an array');
+    }
+    else {
+        envelope.errors.forEach((error, index) => {
+            if (!error || typeof error.code !== 'string' || typeof error.message !== 'string') {
+                problems.push(`error at index ${index} must have string "code" and "message"`);
+            }
+        });
+        if (envelope.success === true && envelope.errors.some(error => error && !hasPath(error))) {
+            problems.push('successful messages can only have per-item errors');
+        }
+    }
+    if (!envelope.hasOwnProperty('payload')) {
+        problems.push('"payload" is missing');
+    }
+    Object.keys(envelope).filter(key => key !== 'version' && knownKeys.indexOf(key) === -1).forEach(key => {
+        problems.push(`unknown key "${key}"`);
+    });
+    return problems;
+};
+
 /**
  * Object that contains and manipulates one microservice message.
  *
- * @param {?MessageContent} [overwrite=null] Can be optionally initialized with an pre-existing content.
+ * @param {?MessageContent} [overwrite=null] Can be optionally initialized with an pre-existing content,
+ *   in any known envelope version; it is upgraded to the current one.
+ * @param {object} [options={}] Message options.
+ * @param {boolean} [options.strict=false] Reject malformed envelopes with a TypeError, instead of
+ *   making the best of them (eg. dropping the errors of successful messages, ignoring unknown keys).
  */
-const LuciusMessage = function (overwrite = null) {
+const LuciusMessage = function (overwrite = null, {strict = false} = {}) {
     /**
      * Establish the data structure of a message.
      * @type {MessageContent}
      */
-    const content = {
+    let content = {
+        version: currentVersion,
         success: true,
         errors: [],
         payload: null,
+        meta: {},
     };
 
     /**
@@ -76,18 +211,55 @@ const LuciusMessage = function (overwrite = null) {
      * @param {ErrorEntry} error An error definition.
      * @returns {Message} Self-reference, for method chaining.
      */
-    this.setError = ({message, code, marker}) => {
-        if (typeof message !== 'string') {
-            throw new TypeError('Parameter "message" must be string.');
-        }
-        if (typeof code !== 'string') {
-            throw new TypeError('Parameter "code" must be string.');
-        }
+    this.setError = error => {
+        const entry = makeEntry(error);
         content.success = false;
-        content.errors.push({message, code, marker});
+        content.errors.push(entry);
+        return this;
+    };
+
+    /**
+     * Adds an error about one item of the payload, eg. one record of a batch, without
+     * changing the message state. Successful messages with such errors are partial successes.
+     *
+     * @param {ErrorEntry} error An error definition, with the path of the item.
+     * @returns {Message} Self-reference, for method chaining.
+     */
+    this.setItemError = error => {
+        const entry = makeEntry(error);
+        if (!hasPath(entry)) {
+            throw new TypeError('Parameter "path" must be string or number.');
+        }
+        content.errors.push(entry);
+        return this;
+    };
+
+    /**
+     * Retrieve the per-item errors in the message.
+     *
+     * @returns {ErrorEntry[]}
+     */
+    this.getItemErrors = () => content.errors.filter(hasPath);
+
+    /**
+     * Adds a warning to the message, eg. about deprecated arguments. Warnings don't
+     * change the message state, and are kept in the `warnings` metadata slot.
+     *
+     * @param {ErrorEntry} warning A warning definition, like an error one.
+     * @returns {Message} Self-reference, for method chaining.
+     */
+    this.addWarning = warning => {
+        content.meta.warnings = (content.meta.warnings || []).concat(makeEntry(warning));
         return this;
     };
 
+    /**
+     * Retrieve the warnings in the message.
+     *
+     * @returns {ErrorEntry[]}
+     */
+    this.getWarnings = () => content.meta.warnings || [];
+
     /**
      * Delete all the errors in the message content.
      */
@@ -112,22 +284,66 @@ const LuciusMessage = function (overwrite = null) {
 
     /**
      * Forces the state of the message to be successful.
-     * This will clear all the errors inside the message, but not the payload.
+     * This will clear all the errors inside the message, except the per-item
+     * ones, but not the payload.
      *
      * @returns {Message} Self-reference, for method chaining.
      */
     this.setSuccess = () => {
         content.success = true;
-        clearAllErrors();
+        content.errors = content.errors.filter(hasPath);
         return this;
     };
 
+    /**
+     * Set a metadata slot, eg. warnings, pagination or trace info. Metadata survives
+     * export() and re-import, but not downgrades to version 1.
+     *
+     * @param {string} key Slot name.
+     * @param {any} value Slot value; undefined deletes the slot.
+     * @returns {Message} Self-reference, for method chaining.
+     */
+    this.setMeta = (key, value) => {
+        if (typeof value === 'undefined') {
+            delete content.meta[key];
+        }
+        else {
+            content.meta[key] = value;
+        }
+        return this;
+    };
+
+    /**
+     * Retrieve a metadata slot, or all of them.
+     *
+     * @param {string} [key] Slot name.
+     * @returns {any} The slot value, or an object with all the slots if key is missing.
+     */
+    this.getMeta = key => typeof key === 'undefined' ? content.meta : content.meta[key];
+
     /**
      * Retrieves the content of the message.
      *
+     * @param {number} [version] Envelope version to export in, eg. for consumers that don't
+     *   know the current one yet. Defaults to the current version.
      * @returns {MessageContent} The content.
      */
-    this.export = () => content;
+    this.export = (version = currentVersion) => {
+        if (version === currentVersion) {
+            return content;
+        }
+        const copy = Object.assign({}, content);
+        delete copy.version;
+        const exported = migrate(copy, currentVersion, version);
+        return version > 1 ? Object.assign({version}, exported) : exported;
+    };
+
+    /**
+     * Reports the envelope version of the message.
+     *
+     * @returns {number}
+     */
+    this.getVersion = () => content.version;
 
     /**
      * Reports whether the current state of the message is successful.
@@ -136,15 +352,25 @@ const LuciusMessage = function (overwrite = null) {
      */
     this.isSuccessful = () => !!content.success;
 
+    /**
+     * Reports whether the message is successful, but with per-item errors.
+     *
+     * @returns {boolean} True if partially successful.
+     */
+    this.isPartial = () => !!content.success && content.errors.length > 0;
+
     /**
      * Checks whether the message contains a error with the given code.
+     * Per-item errors count as well.
      *
      * @param {string} code An error registry code.
+     * @param {boolean} [includeWarnings=false] Whether to look at the warnings too.
      * @returns {boolean} True if there's at least one error with that code.
      */
-    this.containsError = code => {
-        for (let i = 0; i < content.errors.length; i++) {
-            if (content.errors[i].code === code) {
+    this.containsError = (code, includeWarnings = false) => {
+        const entries = includeWarnings ? content.errors.concat(this.getWarnings()) : content.errors;
+        for (let i = 0; i < entries.length; i++) {
+            if (entries[i].code === code) {
                 return true;
             }
         }
@@ -152,17 +378,54 @@ const LuciusMessage = function (overwrite = null) {
     };
 
     // overwrite the content, if applicable
-    if (overwrite) {
+    if (strict) {
+        const problems = envelopeProblems(overwrite);
+        if (problems.length) {
+            throw new TypeError(`Malformed message envelope: ${problems.join(', ')}.`);
+        }
+    }
+    if (overwrite && typeof overwrite === 'object') {
+        // bring the envelope to the current version
+        // newer versions than we know of are read as well as we can
+        const version = Number.isInteger(overwrite.version) ? overwrite.version : 1;
+        if (version < currentVersion) {
+            const copy = Object.assign({}, overwrite);
+            delete copy.version;
+            overwrite = migrate(copy, version, currentVersion);
+        }
+        if (overwrite.meta && typeof overwrite.meta === 'object') {
+            content.meta = Object.assign({}, overwrite.meta);
+        }
+        // keep the keys added by later versions, so they survive export()
+        Object.keys(overwrite).filter(key => !content.hasOwnProperty(key)).forEach(key => {
+            if (knownKeys.indexOf(key) !== -1) {
+                content[key] = overwrite[key];
+            }
+        });
         if (overwrite.hasOwnProperty('success')) {
             content.success = !!overwrite.success;
         }
         if (!content.success && overwrite.hasOwnProperty('errors')) {
             this.setAllErrors(overwrite.errors);
         }
+        else if (Array.isArray(overwrite.errors)) {
+            // successful messages can only have per-item errors
+            overwrite.errors.filter(error => error && hasPath(error)).forEach(this.setItemError);
+        }
         if (overwrite.hasOwnProperty('payload')) {
             this.setPayload(overwrite.payload);
         }
     }
 };
 
+// version 2 adds the metadata slots
+registerMigration(1, {
+    upgrade: content => Object.assign({}, content, {meta: {}}),
+    downgrade: ({success, errors, payload}) => ({success, errors, payload}),
+    keys: ['meta'],
+});
+
+LuciusMessage.registerMigration = registerMigration;
+LuciusMessage.getCurrentVersion = () => currentVersion;
+
 module.exports = LuciusMessage;
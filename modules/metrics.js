@@ -0,0 +1,146 @@
+'use strict';
+
+const INBOUND = 'inbound';
+const OUTBOUND = 'outbound';
+const OUTCOMES = ['success', 'failure', 'fatal'];
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labels = pairs => '{' + Object.keys(pairs).map(key => `${key}="${escapeLabel(pairs[key])}"`).join(',') + '}';
+
+/**
+ * Collects per-pattern request counts, outcomes, error codes and latencies,
+ * for handled messages (inbound) and for requests made (outbound).
+ */
+class LuciusMetrics {
+    /**
+     * Creates an instance of LuciusMetrics.
+     * @param {object} [options={}] Collector options.
+     * @param {number[]} [options.buckets] Upper bounds of the latency histogram buckets, in seconds.
+     * @memberof LuciusMetrics
+     */
+    constructor({buckets = DEFAULT_BUCKETS} = {}) {
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.reset();
+    }
+
+    /**
+     * Discard everything collected so far.
+     * @memberof LuciusMetrics
+     */
+    reset() {
+        this.data = {[INBOUND]: {}, [OUTBOUND]: {}};
+    }
+
+    /**
+     * Record one finished message.
+     * @param {string} direction Either 'inbound' or 'outbound'.
+     * @param {string} pattern Seneca message pattern.
+     * @param {string} outcome One of 'success', 'failure' or 'fatal'.
+     * @param {number} duration Milliseconds.
+     * @param {string[]} [codes=[]] Error codes found in the response.
+     * @memberof LuciusMetrics
+     */
+    record(direction, pattern, outcome, duration, codes = []) {
+        const patterns = this.data[direction];
+        if (!patterns[pattern]) {
+            patterns[pattern] = {
+                count: 0,
+                success: 0,
+                failure: 0,
+                fatal: 0,
+                errors: {},
+                latency: {buckets: this.buckets.map(() => 0), sum: 0},
+            };
+        }
+        const entry = patterns[pattern];
+        const seconds = duration / 1000;
+        entry.count++;
+        entry[outcome]++;
+        codes.forEach(code => {
+            entry.errors[code] = (entry.errors[code] || 0) + 1;
+        });
+        entry.latency.sum += seconds;
+        // buckets are not cumulative here, see snapshot()
+        const index = this.buckets.findIndex(bound => seconds <= bound);
+        if (index !== -1) {
+            entry.latency.buckets[index]++;
+        }
+    }
+
+    /**
+     * Get a copy of everything collected so far. Histogram buckets are listed as
+     * `{le, count}` with their upper bound, and are cumulative, Prometheus style.
+     * @returns {{inbound: object, outbound: object}} Metrics keyed by pattern.
+     * @memberof LuciusMetrics
+     */
+    snapshot() {
+        const out = {};
+        [INBOUND, OUTBOUND].forEach(direction => {
+            out[direction] = {};
+            Object.keys(this.data[direction]).forEach(pattern => {
+                const entry = this.data[direction][pattern];
+                let cumulative = 0;
+                const buckets = this.buckets.map((le, index) => {
+                    cumulative += entry.latency.buckets[index];
+                    return {le, count: cumulative};
+                });
+                buckets.push({le: '+Inf', count: entry.count});
+                out[direction][pattern] = {
+                    count: entry.count,
+                    success: entry.success,
+                    failure: entry.failure,
+                    fatal: entry.fatal,
+                    errors: Object.assign({}, entry.errors),
+                    latency: {buckets, sum: entry.latency.sum, count: entry.count},
+                };
+            });
+        });
+        return out;
+    }
+
+    /**
+     * Serialize everything collected so far in the Prometheus text exposition format.
+     * @param {string} [prefix='lucius'] Prefix of the metric names.
+     * @returns {string}
+     * @memberof LuciusMetrics
+     */
+    toPrometheus(prefix = 'lucius') {
+        const snapshot = this.snapshot();
+        const requests = [
+            `# HELP ${prefix}_requests_total Seneca messages by direction, pattern and outcome.`,
+            `# TYPE ${prefix}_requests_total counter`,
+        ];
+        const errors = [
+            `# HELP ${prefix}_errors_total Error codes found in Seneca responses.`,
+            `# TYPE ${prefix}_errors_total counter`,
+        ];
+        const latency = [
+            `# HELP ${prefix}_request_duration_seconds Seneca message latency.`,
+            `# TYPE ${prefix}_request_duration_seconds histogram`,
+        ];
+        [INBOUND, OUTBOUND].forEach(direction => {
+            Object.keys(snapshot[direction]).forEach(pattern => {
+                const entry = snapshot[direction][pattern];
+                OUTCOMES.forEach(outcome => {
+                    requests.push(`${prefix}_requests_total${labels({direction, pattern, outcome})} ${entry[outcome]}`);
+                });
+                Object.keys(entry.errors).forEach(code => {
+                    errors.push(`${prefix}_errors_total${labels({direction, pattern, code})} ${entry.errors[code]}`);
+                });
+                entry.latency.buckets.forEach(({le, count}) => {
+                    latency.push(`${prefix}_request_duration_seconds_bucket${labels({direction, pattern, le})} ${count}`);
+                });
+                latency.push(`${prefix}_request_duration_seconds_sum${labels({direction, pattern})} ${entry.latency.sum}`);
+                latency.push(`${prefix}_request_duration_seconds_count${labels({direction, pattern})} ${entry.count}`);
+            });
+        });
+        return [...requests, ...errors, ...latency].join('\n') + '\n';
+    }
+}
+
+LuciusMetrics.INBOUND = INBOUND;
+LuciusMetrics.OUTBOUND = OUTBOUND;
+
+module.exports = LuciusMetrics;
@@ -0,0 +1,397 @@
+'use strict';
+const {E} = require('../error');
+const locale = require('../error/locale');
+const {statusForCode} = require('../middleware/status');
+const {compileRoute} = require('../middleware/router');
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+const ERROR_ENTRY = {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+        code: {type: 'string'},
+        message: {type: 'string'},
+        locale: {type: 'string'},
+        details: {type: 'array', items: {type: 'object'}},
+    },
+};
+
+// the keywords of OpenAPI 3.0 schema objects; extensions (`x-...`) are kept as well
+const OPENAPI_KEYWORDS = [
+    'title', 'multipleOf', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum', 'maxLength',
+    'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'maxProperties', 'minProperties',
+    'required', 'enum', 'type', 'allOf', 'oneOf', 'anyOf', 'not', 'items', 'properties',
+    'additionalProperties', 'description', 'format', 'default', 'nullable', 'discriminator',
+    'readOnly', 'writeOnly', 'xml', 'externalDocs', 'example', 'deprecated',
+];
+
+// where JSON schemas keep their reusable subschemas
+const DEFINITIONS = ['definitions', '$defs'];
+
+/**
+ * Find the value a local JSON pointer (eg. `#/properties/id`) points to.
+ * @param {object} root The schema the pointer is relative to.
+ * @param {string} ref The pointer.
+ * @returns {any} The value, or undefined if there is none.
+ */
+const resolvePointer = (root, ref) => ref.slice(1).split('/').slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => node && typeof node === 'object' ? node[key] : undefined, root);
+
+/**
+ * Pick the component name of a schema definition: its own name, unless another
+ * schema took it already, in which case a number is appended.
+ * @param {object} components Components being built, see toOpenApiSchema().
+ * @param {string} name Name of the definition.
+ * @param {object} definition The definition.
+ * @returns {string}
+ */
+const componentName = (components, name, definition) => {
+    const source = JSON.stringify(definition);
+    const base = name.replace(/[^\w.-]/g, '_');
+    let candidate = base;
+    for (let i = 2; components.sources.hasOwnProperty(candidate) && components.sources[candidate] !== source; i++) {
+        candidate = `${base}_${i}`;
+    }
+    return candidate;
+};
+
+/**
+ * Turn a JSON schema into an OpenAPI 3 schema object: convert the JSON schema keywords
+ * that have an OpenAPI equivalent (`const`, `examples`, type arrays, numeric exclusive
+ * limits), prefix the Lucius ones with `x-` and drop the other keywords OpenAPI doesn't know.
+ *
+ * OpenAPI schemas can't have `definitions` (or `$defs`), so when components are given, the
+ * definitions are moved there and the references to them rewritten. Other local references,
+ * and all of them when there are no components, are replaced with what they point to
+ * (recursive ones only once). Remote references are kept as they are.
+ * @param {string|object} schema JSON schema, either as object or as JSON string.
+ * @param {?{schemas: object, sources: object}} [components=null] Components being built: the
+ *   schemas, and the JSON source of each of them, to tell apart definitions with the same name.
+ * @returns {?object}
+ */
+const toOpenApiSchema = (schema, components = null) => {
+    if (!schema || typeof schema === 'function') {
+        return null;
+    }
+    if (typeof schema === 'string') {
+        schema = JSON.parse(schema);
+    }
+    const root = schema;
+    // component names, keyed by the reference of the definition they were made from
+    const names = {};
+    // references being replaced, to stop at recursive ones
+    const resolving = new Set();
+    const walkRef = (ref, out) => {
+        if (typeof ref !== 'string' || ref[0] !== '#') {
+            out.$ref = ref;
+            return;
+        }
+        const found = Object.keys(names).find(prefix => ref === prefix || ref.indexOf(prefix + '/') === 0);
+        if (found) {
+            out.$ref = `#/components/schemas/${names[found]}${ref.slice(found.length)}`;
+            return;
+        }
+        const target = resolvePointer(root, ref);
+        if (target && typeof target === 'object' && !resolving.has(ref)) {
+            resolving.add(ref);
+            Object.assign(out, walk(target));
+            resolving.delete(ref);
+        }
+    };
+    const walk = node => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return node;
+        }
+        const out = {};
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            if (key === 'properties') {
+                // property names are not keywords, only their schemas are converted
+                out.properties = {};
+                Object.keys(value || {}).forEach(name => {
+                    out.properties[name] = walk(value[name]);
+                });
+            }
+            else if (key === 'items') {
+                // tuples have no OpenAPI equivalent, so any of their schemas goes
+                out.items = Array.isArray(value) ? {anyOf: value.map(walk)} : walk(value);
+            }
+            else if (key === 'allOf' || key === 'anyOf' || key === 'oneOf') {
+                out[key] = [].concat(value).map(walk);
+            }
+            else if (key === 'not' || key === 'additionalProperties') {
+                out[key] = typeof value === 'object' ? walk(value) : value;
+            }
+            else if (key === 'const') {
+                out.enum = [value];
+            }
+            else if (key === 'examples') {
+                if (Array.isArray(value) && value.length && !node.hasOwnProperty('example')) {
+                    out.example = value[0];
+                }
+            }
+            else if (key === 'type' && Array.isArray(value)) {
+                const types = value.filter(type => type !== 'null');
+                if (types.length !== value.length) {
+                    out.nullable = true;
+                }
+                if (types.length === 1) {
+                    out.type = types[0];
+                }
+                else if (types.length) {
+                    out.anyOf = types.map(type => ({type}));
+                }
+            }
+            else if ((key === 'exclusiveMinimum' || key === 'exclusiveMaximum') && typeof value === 'number') {
+                out[key === 'exclusiveMinimum' ? 'minimum' : 'maximum'] = value;
+                out[key] = true;
+            }
+            else if (key === 'sensitive') {
+                out['x-sensitive'] = value;
+            }
+            else if (key === '$ref') {
+                walkRef(value, out);
+            }
+            else if (OPENAPI_KEYWORDS.indexOf(key) !== -1 || key.indexOf('x-') === 0) {
+                out[key] = value;
+            }
+        });
+        return out;
+    };
+    if (components) {
+        const definitions = [];
+        DEFINITIONS.forEach(keyword => {
+            const group = root[keyword] && typeof root[keyword] === 'object' ? root[keyword] : {};
+            Object.keys(group).forEach(name => {
+                const ref = `#/${keyword}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                names[ref] = componentName(components, name, group[name]);
+                components.sources[names[ref]] = JSON.stringify(group[name]);
+                definitions.push([names[ref], group[name]]);
+            });
+        });
+        definitions.forEach(([name, definition]) => {
+            components.schemas[name] = walk(definition);
+        });
+    }
+    return walk(schema);
+};
+
+/**
+ * Describe an error code, for the `x-lucius-errors` extensions.
+ * @param {string} code Registry code.
+ * @param {object} statuses HTTP status overrides.
+ * @returns {{code: string, message: string, httpStatus: ?number}}
+ */
+const describeError = (code, statuses) => ({
+    code,
+    message: locale.resolve(E.get(code), {}).message,
+    httpStatus: statusForCode(code, statuses),
+});
+
+/**
+ * The error codes a handler can fail with: the declared ones, plus validation
+ * and authorization failures.
+ * @param {?object} handler Handler, as returned by Lucius.getHandler().
+ * @returns {string[]}
+ */
+const handlerErrors = handler => {
+    if (!handler) {
+        return [];
+    }
+    const codes = handler.errors.slice();
+    const implied = [
+        handler.input ? E.VALIDATION_FAILED.code : null,
+        handler.authorization ? E.UNAUTHENTICATED.code : null,
+        handler.authorization ? E.FORBIDDEN.code : null,
+        handler.limits ? E.RATE_LIMITED.code : null,
+    ];
+    implied.filter(code => code && codes.indexOf(code) === -1).forEach(code => codes.push(code));
+    return codes;
+};
+
+/**
+ * Build the operation of one route of a route table.
+ * @param {object} route Compiled route (see router.js).
+ * @param {?object} handler Handler registered for the route pattern, if any.
+ * @param {object} statuses HTTP status overrides.
+ * @param {object} components Components being built, see toOpenApiSchema().
+ * @returns {object} OpenAPI operation.
+ */
+const routeOperation = (route, handler, statuses, components) => {
+    const input = toOpenApiSchema(route.schema || handler && handler.input, components) || {type: 'object'};
+    const properties = input.properties || {};
+    const required = input.required || [];
+    // where each argument comes from, eg. {id: 'path.id'}
+    let sources = route.args && typeof route.args === 'object' ? route.args : null;
+    if (!sources) {
+        sources = {};
+        route.params.forEach(name => {
+            sources[name] = `path.${name}`;
+        });
+        if (BODY_METHODS.indexOf(route.method) === -1) {
+            Object.keys(properties).filter(name => !sources[name]).forEach(name => {
+                sources[name] = `query.${name}`;
+            });
+        }
+    }
+    const parameters = [];
+    const body = {type: 'object', properties: {}, required: []};
+    Object.keys(sources).forEach(name => {
+        const [part, field = name] = String(sources[name]).split('.');
+        if (part === 'path' || part === 'query' || part === 'headers') {
+            parameters.push({
+                name: field,
+                in: part === 'headers' ? 'header' : part,
+                required: part === 'path' || required.indexOf(name) !== -1,
+                schema: properties[name] || {type: 'string'},
+            });
+        }
+        else if (part === 'body' && sources[name] === 'body') {
+            Object.assign(body, properties[name] || {});
+        }
+        else if (part === 'body') {
+            body.properties[field] = properties[name] || {};
+            if (required.indexOf(name) !== -1) {
+                body.required.push(field);
+            }
+        }
+    });
+    const operation = {
+        operationId: route.key.replace(/[^\w]+/g, '_'),
+        summary: handler && handler.description || undefined,
+        'x-seneca-pattern': route.pattern,
+        parameters,
+        responses: {
+            200: {
+                description: 'Success.',
+                content: {'application/json': {schema: toOpenApiSchema(handler && handler.output, components) || {}}},
+            },
+        },
+    };
+    if (!route.args && BODY_METHODS.indexOf(route.method) !== -1) {
+        // path, query and body are merged, so the body can carry any argument
+        operation.requestBody = {content: {'application/json': {schema: input}}};
+    }
+    else if (Object.keys(body.properties).length || body.type !== 'object') {
+        if (!body.required.length) {
+            delete body.required;
+        }
+        operation.requestBody = {content: {'application/json': {schema: body}}};
+    }
+    // group the possible errors by HTTP status
+    const codes = handlerErrors(handler);
+    const byStatus = {};
+    codes.forEach(code => {
+        const status = statusForCode(code, statuses) || 400;
+        byStatus[status] = (byStatus[status] || []).concat(code);
+    });
+    byStatus[500] = byStatus[500] || [];
+    Object.keys(byStatus).forEach(status => {
+        operation.responses[status] = {
+            description: byStatus[status].length ? `Failure: ${byStatus[status].join(', ')}.` : 'Internal error.',
+            content: {'application/json': {schema: {$ref: '#/components/schemas/LuciusErrors'}}},
+            'x-lucius-errors': byStatus[status].map(code => describeError(code, statuses)),
+        };
+    });
+    return operation;
+};
+
+/**
+ * Build the operation of a handler, for the message API view.
+ * @param {object} handler Handler, as returned by Lucius.getHandler().
+ * @param {object} statuses HTTP status overrides.
+ * @param {object} components Components being built, see toOpenApiSchema().
+ * @returns {object} OpenAPI operation.
+ */
+const messageOperation = (handler, statuses, components) => ({
+    operationId: handler.pattern.replace(/[^\w]+/g, '_'),
+    summary: handler.description || undefined,
+    'x-seneca-pattern': handler.pattern,
+    requestBody: {content: {'application/json': {schema: toOpenApiSchema(handler.input, components) || {type: 'object'}}}},
+    responses: {
+        200: {
+            description: 'Lucius message. Failures list one of the error codes in x-lucius-errors.',
+            content: {
+                'application/json': {
+                    schema: {
+                        allOf: [{$ref: '#/components/schemas/LuciusMessage'}],
+                        properties: {payload: toOpenApiSchema(handler.output, components) || {}},
+                    },
+                },
+            },
+            'x-lucius-errors': handlerErrors(handler).map(code => describeError(code, statuses)),
+        },
+    },
+});
+
+/**
+ * Generate an OpenAPI 3 document out of the handlers registered through a Lucius instance.
+ * With a route table (see router.js) it describes the HTTP API made by the router; otherwise
+ * it describes the message API, with one `POST /<pattern>` operation per handler.
+ * @param {Lucius} lucius The instance the handlers were registered through.
+ * @param {object} [options={}] Generator options.
+ * @param {object} [options.routes] Route table.
+ * @param {object} [options.info] OpenAPI info object. Title and version are required by OpenAPI.
+ * @param {object[]} [options.servers] OpenAPI server objects.
+ * @param {object} [options.statuses={}] HTTP statuses keyed by error code, as given to the gateway.
+ * @returns {object} The OpenAPI document.
+ */
+const generateOpenApi = (lucius, {routes = null, info = {}, servers = undefined, statuses = {}} = {}) => {
+    const paths = {};
+    const components = {
+        schemas: {
+            LuciusError: ERROR_ENTRY,
+            LuciusErrors: {
+                type: 'object',
+                properties: {
+                    success: {type: 'boolean'},
+                    errors: {type: 'array', items: {$ref: '#/components/schemas/LuciusError'}},
+                },
+            },
+            LuciusMessage: {
+                type: 'object',
+                required: ['success', 'errors', 'payload'],
+                properties: {
+                    version: {type: 'integer'},
+                    success: {type: 'boolean'},
+                    errors: {type: 'array', items: {$ref: '#/components/schemas/LuciusError'}},
+                    payload: {},
+                    meta: {type: 'object'},
+                },
+            },
+        },
+        sources: {},
+    };
+    // the definitions of the handler schemas can't take our names
+    Object.keys(components.schemas).forEach(name => {
+        components.sources[name] = null;
+    });
+    if (routes) {
+        Object.keys(routes).forEach(key => {
+            const route = compileRoute(key, routes[key]);
+            const path = route.path.replace(/:(\w+)/g, '{$1}');
+            const methods = route.method === 'ALL' ? ['get', 'post', 'put', 'patch', 'delete'] : [route.method.toLowerCase()];
+            paths[path] = paths[path] || {};
+            methods.forEach(method => {
+                paths[path][method] = routeOperation(route, lucius.getHandler(route.pattern), statuses, components);
+            });
+        });
+    }
+    else {
+        lucius.getHandlers().forEach(handler => {
+            paths[`/${handler.pattern}`] = {post: messageOperation(handler, statuses, components)};
+        });
+    }
+    return {
+        openapi: '3.0.0',
+        info: Object.assign({title: 'Lucius API', version: '1.0.0'}, info),
+        servers,
+        paths,
+        components: {schemas: components.schemas},
+    };
+};
+
+module.exports = generateOpenApi;
+module.exports.toOpenApiSchema = toOpenApiSchema;
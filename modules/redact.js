@@ -0,0 +1,198 @@
+'use strict';
+
+const DEFAULT_KEYS = [
+    'password',
+    'passwd',
+    'secret',
+    'token',
+    'accessToken',
+    'refreshToken',
+    'authorization',
+    'apiKey',
+    'cookie',
+    'session',
+];
+
+const PATTERNS = {
+    JWT: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    EMAIL: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g,
+};
+
+const isPlainObject = value => {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+const toSegments = path => Array.isArray(path) ? path : String(path).split('.');
+
+/**
+ * Produces redacted copies of values that are about to be logged.
+ * Object properties are redacted by key name (anywhere in the object) or by
+ * path (from the root of the logged value, with `*` matching any key or index).
+ * String values, including Error traces, are redacted by regular expressions.
+ */
+class LuciusRedactor {
+    /**
+     * Creates an instance of LuciusRedactor.
+     * @param {object} [rules={}] Redaction rules.
+     * @param {string[]} [rules.keys] Property names to redact, case insensitive.
+     *   Defaults to common credential names (password, token, authorization, session...).
+     * @param {string[]} [rules.paths=[]] Dot-separated property paths to redact, eg. `__.session.id`.
+     * @param {RegExp[]} [rules.patterns] Regular expressions matching values to redact
+     *   inside strings. Defaults to JWTs and email addresses.
+     * @param {string} [rules.replacement='[REDACTED]'] What to replace redacted values with.
+     * @memberof LuciusRedactor
+     */
+    constructor({
+        keys = DEFAULT_KEYS,
+        paths = [],
+        patterns = [PATTERNS.JWT, PATTERNS.EMAIL],
+        replacement = '[REDACTED]',
+    } = {}) {
+        this.keys = new Set();
+        this.paths = [];
+        this.patterns = [];
+        this.replacement = replacement;
+        this.add({keys, paths, patterns});
+    }
+
+    /**
+     * Add more redaction rules. Rules that are already there are skipped.
+     * @param {object} rules See the constructor.
+     * @returns {LuciusRedactor} Self-reference, for method chaining.
+     * @memberof LuciusRedactor
+     */
+    add({keys = [], paths = [], patterns = []}) {
+        keys.forEach(key => this.keys.add(String(key).toLowerCase()));
+        paths.map(toSegments).forEach(path => {
+            if (!this.paths.some(rule => rule.join('.') === path.join('.'))) {
+                this.paths.push(path);
+            }
+        });
+        patterns.forEach(pattern => {
+            if (!(pattern instanceof RegExp)) {
+                throw new TypeError('Redaction patterns must be regular expressions.');
+            }
+            // we always replace all occurrences
+            const global = pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+            if (!this.patterns.some(rule => rule.source === global.source && rule.flags === global.flags)) {
+                this.patterns.push(global);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Make a copy of this redactor with more rules. This redactor is not modified.
+     * @param {object} rules See the constructor.
+     * @returns {LuciusRedactor} The new redactor.
+     * @memberof LuciusRedactor
+     */
+    extend(rules) {
+        const copy = new LuciusRedactor({keys: [], paths: [], patterns: [], replacement: this.replacement});
+        copy.keys = new Set(this.keys);
+        copy.paths = this.paths.slice();
+        copy.patterns = this.patterns.slice();
+        return copy.add(rules);
+    }
+
+    /**
+     * Check whether a property path matches any of the path rules.
+     * @param {string[]} path Property path from the root of the logged value.
+     * @returns {boolean}
+     * @memberof LuciusRedactor
+     */
+    matchesPath(path) {
+        return this.paths.some(rule =>
+            rule.length === path.length && rule.every((segment, index) => segment === '*' || segment === path[index]));
+    }
+
+    /**
+     * Redact a string using the pattern rules.
+     * @param {string} value
+     * @returns {string}
+     * @memberof LuciusRedactor
+     */
+    redactString(value) {
+        return this.patterns.reduce((result, pattern) => result.replace(pattern, this.replacement), value);
+    }
+
+    /**
+     * Make a redacted copy of a value. The value itself is not modified.
+     * Only plain objects and arrays are traversed; other objects are kept as they are.
+     * @param {any} value Anything about to be logged.
+     * @returns {any} The redacted copy.
+     * @memberof LuciusRedactor
+     */
+    redact(value) {
+        const seen = new WeakSet();
+        const walk = (current, path) => {
+            if (typeof current === 'string') {
+                return this.redactString(current);
+            }
+            if (!Array.isArray(current) && !isPlainObject(current)) {
+                return current;
+            }
+            if (seen.has(current)) {
+                return '[Circular]';
+            }
+            seen.add(current);
+            const copy = Array.isArray(current) ? [] : {};
+            Object.keys(current).forEach(key => {
+                const childPath = path.concat(key);
+                copy[key] = this.keys.has(key.toLowerCase()) || this.matchesPath(childPath)
+                    ? this.replacement
+                    : walk(current[key], childPath);
+            });
+            seen.delete(current);
+            return copy;
+        };
+        return walk(value, []);
+    }
+
+    /**
+     * Make a redactor out of a `redact` option: a redactor is used as it is, false means
+     * no redaction at all, and anything else is a set of rules for a new one.
+     * @param {LuciusRedactor|object|boolean} [redact={}]
+     * @returns {?LuciusRedactor}
+     * @memberof LuciusRedactor
+     */
+    static from(redact = {}) {
+        return redact instanceof LuciusRedactor ? redact : redact === false ? null : new LuciusRedactor(redact);
+    }
+
+    /**
+     * Collect the paths of the properties marked with `sensitive: true` in a JSON schema.
+     * Array items are represented by a `*` segment.
+     * @param {string|object} schema JSON schema, either as object or as JSON string.
+     * @returns {string[]} Dot-separated paths.
+     * @memberof LuciusRedactor
+     */
+    static schemaPaths(schema) {
+        if (typeof schema === 'string') {
+            schema = JSON.parse(schema);
+        }
+        const paths = [];
+        const walk = (node, path) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (node.sensitive === true && path.length) {
+                paths.push(path.join('.'));
+                return;
+            }
+            Object.keys(node.properties || {}).forEach(key => walk(node.properties[key], path.concat(key)));
+            [].concat(node.items || []).forEach(item => walk(item, path.concat('*')));
+        };
+        walk(schema, []);
+        return paths;
+    }
+}
+
+LuciusRedactor.PATTERNS = PATTERNS;
+LuciusRedactor.DEFAULT_KEYS = DEFAULT_KEYS;
+
+module.exports = LuciusRedactor;
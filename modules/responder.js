@@ -1,15 +1,102 @@
 'use strict';
-const logger = require('./logger');
-const {LuciusError, LuciusSmuggleError, LUCIUS_ERROR_MARKER} = require('../error');
+const {E, LuciusError, LuciusSmuggleError, LUCIUS_ERROR_MARKER} = require('../error');
 const LuciusMessage = require('./message');
+const LuciusMetrics = require('./metrics');
+const util = require('./util');
 
 class LuciusResponder {
-    constructor(lucius, next, senecaPattern, senecaArgs, outputSchema) {
+    /**
+     * Creates an instance of LuciusResponder.
+     * @param {Lucius} lucius The Lucius instance that registered the handler.
+     * @param {function} next Seneca callback.
+     * @param {string} senecaPattern Seneca message pattern of the handler.
+     * @param {object} senecaArgs Complete Seneca argument object.
+     * @param {object} [options={}] Handler options.
+     * @param {function} [options.outputValidator] Compiled JSON schema validation function for the payload.
+     * @param {function[]} [options.after] Callbacks(responder, message) to run before calling next().
+     * @param {number} [options.timeout] If set, respond with a HANDLER_TIMEOUT fatal error
+     *   when nothing else responded within this many milliseconds.
+     * @param {object} [options.logger] Logger of the handler, with its own redaction rules.
+     *   Defaults to the logger of the Lucius instance.
+     * @memberof LuciusResponder
+     */
+    constructor(lucius, next, senecaPattern, senecaArgs, {outputValidator = null, after = [], timeout = null, logger = null} = {}) {
         this.lucius = lucius;
+        this.logger = logger || lucius.logger;
         this.next = next;
         this.senecaPattern = senecaPattern;
         this.senecaArgs = senecaArgs;
-        this.outputSchema = outputSchema;
+        this.outputValidator = outputValidator;
+        this.after = after;
+        this.responded = false;
+        this.warnings = [];
+        this.startTime = Date.now();
+        this.timer = null;
+        // trace context of the request being handled, also passed on by inquest()
+        this.trace = (senecaArgs.__ || {}).trace || null;
+        if (timeout > 0) {
+            this.timer = setTimeout(() => this.fatal(new LuciusError(E.HANDLER_TIMEOUT, {timeout})), timeout);
+        }
+    }
+
+    /**
+     * Reports whether one of success(), failure() or fatal() has already been called.
+     * @returns {boolean}
+     * @memberof LuciusResponder
+     */
+    hasResponded() {
+        return this.responded;
+    }
+
+    /**
+     * Marks the responder as having responded. Only the first response is sent to
+     * Seneca, so this must be called right before next().
+     * @memberof LuciusResponder
+     */
+    markResponded() {
+        this.responded = true;
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Logs (and otherwise ignores) a response attempted after the first one.
+     * @param {string} method The responder method that was called.
+     * @param {...any} extra Anything else worth logging.
+     * @memberof LuciusResponder
+     */
+    ignore(method, ...extra) {
+        this.logger.warning.format('SENECA', 'DUPLICATE', this.senecaPattern, this.senecaArgs, `${method}() ignored`, ...extra);
+    }
+
+    /**
+     * Localizes an error according to the session info, if any, and marks it as ours.
+     * @param {LuciusError} e
+     * @returns {LuciusError} The same error.
+     * @memberof LuciusResponder
+     */
+    prepareError(e) {
+        const sessionLocale = (this.senecaArgs.__ || {}).locale;
+        if (sessionLocale) {
+            e.localize(sessionLocale, this.logger);
+        }
+        e.marker = LUCIUS_ERROR_MARKER;
+        return e;
+    }
+
+    /**
+     * Adds a warning to the response, whatever it turns out to be, eg. about deprecated
+     * arguments. Warnings use error codes, but don't change the outcome of the response.
+     * @param {LuciusError} warning The warning.
+     * @param {string|number} [path] Item the warning is about, if any.
+     * @returns {LuciusResponder} Self-reference, for method chaining.
+     * @memberof LuciusResponder
+     */
+    warn(warning, path = undefined) {
+        if (!(warning instanceof LuciusError)) {
+            throw new TypeError('Warning must be instance of LuciusError');
+        }
+        this.warnings.push({warning, path});
+        return this;
     }
 
     /**
@@ -24,7 +111,7 @@ class LuciusResponder {
      * @memberof LuciusResponder
      */
     async inquest(pattern, args = {}, userInfo = null) {
-        const message = await this.lucius.request(pattern, args, userInfo);
+        const message = await this.inquestMessage(pattern, args, userInfo);
         if (message.isSuccessful()) {
             return message.getPayload();
         }
@@ -34,27 +121,105 @@ class LuciusResponder {
         }
     };
 
+    /**
+     * Makes a Seneca request that continues the trace of the request being handled.
+     * @param {string} pattern Seneca message pattern identifier.
+     * @param {any} [args={}] Optionally pass some parameters to the call.
+     * @param {any} [userInfo=null] Optionally pass user information to the call.
+     * @returns {Promise<LuciusMessage>} The response message.
+     * @memberof LuciusResponder
+     */
+    inquestMessage(pattern, args = {}, userInfo = null) {
+        const session = Object.assign({trace: this.trace}, args.__ || userInfo);
+        return this.lucius.request(pattern, Object.assign({}, args, {__: session}));
+    }
+
+    /**
+     * Makes several Seneca requests, at most `concurrency` at a time, and reports
+     * the outcome of each of them, in order. Never throws because of the requests.
+     * @param {Array<{pattern: string, args: object, userInfo: object}|Array>} calls The requests,
+     *   as objects or as [pattern, args, userInfo] arrays.
+     * @param {object} [options={}]
+     * @param {number} [options.concurrency=Infinity] Maximum number of requests in flight.
+     * @returns {Promise<Array<{status: string, payload: any, errors: ErrorEntry[], message: LuciusMessage,
+     *   error: Error}>>} Status is one of success (with payload and message), failure (with errors
+     *   and message) or fatal (with error).
+     * @memberof LuciusResponder
+     */
+    inquestSettled(calls, {concurrency = Infinity} = {}) {
+        return util.mapConcurrent(calls, concurrency, async call => {
+            const {pattern, args, userInfo} = Array.isArray(call)
+                ? {pattern: call[0], args: call[1], userInfo: call[2]}
+                : call;
+            try {
+                const message = await this.inquestMessage(pattern, args || {}, userInfo || null);
+                return message.isSuccessful()
+                    ? {status: 'success', payload: message.getPayload(), message}
+                    : {status: 'failure', errors: message.getErrors(), message};
+            } catch (error) {
+                return {status: 'fatal', error};
+            }
+        });
+    }
+
+    /**
+     * Makes several Seneca requests, at most `concurrency` at a time, and returns their
+     * payloads, in order. Like inquest(), failures interrupt the handler, but only once all
+     * the requests are done, and with all the errors of all the failed requests.
+     * @param {Array<{pattern: string, args: object, userInfo: object}|Array>} calls See inquestSettled().
+     * @param {object} [options={}] See inquestSettled().
+     * @returns {Promise<any[]>} The payloads.
+     * @throws {LuciusSmuggleError} With all the errors, if any of the requests failed.
+     * @throws {Error} The first fatal error, if any of the requests had one.
+     * @memberof LuciusResponder
+     */
+    async inquestAll(calls, options = {}) {
+        const outcomes = await this.inquestSettled(calls, options);
+        const fatal = outcomes.find(outcome => outcome.status === 'fatal');
+        if (fatal) {
+            throw fatal.error;
+        }
+        const failures = outcomes.filter(outcome => outcome.status === 'failure');
+        if (failures.length) {
+            const message = this.lucius.makeMessage();
+            failures.forEach(failure => failure.errors.forEach(message.setError));
+            throw new LuciusSmuggleError(message);
+        }
+        return outcomes.map(outcome => outcome.payload);
+    }
+
     // next() wrapper that produces a successful response message
     async success(messageOrPayload = null) {
+        if (this.responded) {
+            return this.ignore('success');
+        }
         let message;
         if (messageOrPayload instanceof LuciusMessage) {
             message = messageOrPayload;
         }
         else {
             // validate the response payload against schema, if any
-            this.lucius.validateOutputSchema(this.outputSchema, messageOrPayload, this.senecaPattern, this.senecaArgs);
+            const invalid = this.lucius.validateOutputSchema(
+                this.outputValidator, messageOrPayload, this.senecaPattern, this.senecaArgs, this.logger
+            );
+            if (invalid) {
+                return this.failure(invalid);
+            }
             // make sure the payload is put in a standard format
             message = this.lucius.makeMessage();
             message.setPayload(messageOrPayload);
         }
         // log the response
-        logger.debug.format('SENECA', 'RESP', this.senecaPattern, this.senecaArgs, message.getPayload());
+        this.logger.debug.format('SENECA', 'RESP', this.senecaPattern, this.senecaArgs, message.getPayload());
         // call next()
-        this.next(null, message.export());
+        return this.respond(message);
     };
 
     // next() wrapper that produces a failure response message
     failure(messageOrErrors) {
+        if (this.responded) {
+            return this.ignore('failure');
+        }
         let message;
         if (messageOrErrors instanceof LuciusMessage) {
             message = messageOrErrors;
@@ -70,28 +235,140 @@ class LuciusResponder {
                     throw new TypeError(`Error at index ${index} must be instance of LuciusError`);
                 }
             });
-            // pack all errors in a standardized format
+            // pack all errors in a standardized format,
+            // localized according to the session info, if any
             message = this.lucius.makeMessage();
-            errorSet.forEach(e => {
-                e.marker = LUCIUS_ERROR_MARKER;
-                message.setError(e);
-            });
+            errorSet.forEach(e => message.setError(this.prepareError(e)));
         }
         // log the errors
-        logger.debug.format('SENECA', 'ERROR', this.senecaPattern, this.senecaArgs, `${message.getErrors().length} error(s)`);
+        this.logger.debug.format('SENECA', 'ERROR', this.senecaPattern, this.senecaArgs, `${message.getErrors().length} error(s)`);
         message.getErrors().forEach(e => {
-            logger.error.format('SENECA', '\error', this.senecaPattern, this.senecaArgs, e);
+            this.logger.error.format('SENECA', '\error', this.senecaPattern, this.senecaArgs, e);
         });
         // call next()
-        return this.next(null, message.export());
+        return this.respond(message);
     };
 
+    /**
+     * next() wrapper that produces a successful response message with one page of items.
+     * Consumers can walk through all the pages with Lucius.iterate(), which passes the
+     * cursor of the next page in `args.cursor` (or another argument of their choice).
+     * @param {any[]} items The items of this page, validated like the payload of success().
+     * @param {object} [pagination={}] Where the next page starts.
+     * @param {any} [pagination.cursor=null] Opaque cursor of the next page, eg. an offset or a key.
+     * @param {boolean} [pagination.hasMore] Whether there is a next page. Defaults to whether
+     *   there is a cursor.
+     * @memberof LuciusResponder
+     */
+    page(items, {cursor = null, hasMore = cursor !== null} = {}) {
+        if (this.responded) {
+            return this.ignore('page');
+        }
+        if (!Array.isArray(items)) {
+            throw new TypeError('Page items must be an array');
+        }
+        const invalid = this.lucius.validateOutputSchema(
+            this.outputValidator, items, this.senecaPattern, this.senecaArgs, this.logger
+        );
+        if (invalid) {
+            return this.failure(invalid);
+        }
+        const message = this.lucius.makeMessage();
+        message.setPayload(items);
+        message.setMeta('pagination', {cursor, hasMore: !!hasMore});
+        return this.success(message);
+    }
+
+    /**
+     * next() wrapper that produces a partially successful response message: the payload,
+     * with errors about some of its items, eg. the records of a batch that failed.
+     * @param {any} payload The payload, validated like the one of success().
+     * @param {object|LuciusError[]} errors LuciusErrors keyed by the path of their item, eg.
+     *   `{'2.email': error}`, or an array of them where the index is the path (holes are fine).
+     * @memberof LuciusResponder
+     */
+    partial(payload, errors = {}) {
+        if (this.responded) {
+            return this.ignore('partial');
+        }
+        const paths = Object.keys(errors || {});
+        paths.forEach(path => {
+            if (!(errors[path] instanceof LuciusError)) {
+                throw new TypeError(`Error at path ${path} must be instance of LuciusError`);
+            }
+        });
+        const invalid = this.lucius.validateOutputSchema(
+            this.outputValidator, payload, this.senecaPattern, this.senecaArgs, this.logger
+        );
+        if (invalid) {
+            return this.failure(invalid);
+        }
+        const message = this.lucius.makeMessage();
+        message.setPayload(payload);
+        paths.forEach(path => {
+            const e = this.prepareError(errors[path]);
+            message.setItemError({
+                message: e.message,
+                code: e.code,
+                marker: e.marker,
+                locale: e.locale,
+                details: e.details,
+                path: Array.isArray(errors) ? Number(path) : path,
+            });
+        });
+        // log the response and the item errors
+        this.logger.debug.format('SENECA', 'RESP', this.senecaPattern, this.senecaArgs, payload);
+        message.getItemErrors().forEach(e => {
+            this.logger.warning.format('SENECA', 'PARTIAL', this.senecaPattern, this.senecaArgs, e);
+        });
+        return this.respond(message);
+    }
+
+    /**
+     * Runs the after hooks on the outgoing message, then passes it to next().
+     * A hook that throws turns the response into a fatal error.
+     * @param {LuciusMessage} message The outgoing message.
+     * @memberof LuciusResponder
+     */
+    async respond(message) {
+        this.markResponded();
+        this.warnings.forEach(({warning, path}) => {
+            const e = this.prepareError(warning);
+            message.addWarning({message: e.message, code: e.code, marker: e.marker, locale: e.locale, details: e.details, path});
+            this.logger.warning.format('SENECA', 'WARNING', this.senecaPattern, this.senecaArgs, e);
+        });
+        try {
+            for (let i = 0; i < this.after.length; i++) {
+                await this.after[i].apply(this.lucius.seneca, [this, message]);
+            }
+        } catch (e) {
+            return this.crash(e);
+        }
+        this.lucius.recordMetrics(LuciusMetrics.INBOUND, this.senecaPattern, this.startTime, message);
+        this.lucius.recordExchange(LuciusMetrics.INBOUND, this.senecaPattern, this.senecaArgs, message);
+        if (this.trace && !message.getMeta('trace')) {
+            message.setMeta('trace', {traceId: this.trace.traceId, spanId: this.trace.spanId});
+        }
+        return this.next(null, message.export(this.lucius.options.messageVersion || undefined));
+    }
+
     fatal(e) {
+        if (this.responded) {
+            return this.ignore('fatal', e);
+        }
         if (e instanceof LuciusSmuggleError) {
             return this.failure(e.message);
         }
+        this.markResponded();
+        return this.crash(e);
+    }
+
+    // next() wrapper that reports a fatal error
+    crash(e) {
         e = this.lucius.makeFatalError(e);
-        logger.fatal.format('SENECA', 'CRASH', this.senecaPattern, this.senecaArgs, e);
+        this.logger.fatal.format('SENECA', 'CRASH', this.senecaPattern, this.senecaArgs, e);
+        this.lucius.recordMetrics(LuciusMetrics.INBOUND, this.senecaPattern, this.startTime, e);
+        this.lucius.recordExchange(LuciusMetrics.INBOUND, this.senecaPattern, this.senecaArgs, e);
         return this.next(e);
     }
 
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * In-memory key-value store with a maximum size (least recently used entries are
+ * evicted first) and expiring entries. It is the default store for idempotent
+ * handlers and response caching.
+ *
+ * Other stores (eg. Redis-backed) only need the same get(), set() and delete()
+ * methods; they may return promises.
+ */
+class LuciusMemoryStore {
+    /**
+     * Creates an instance of LuciusMemoryStore.
+     * @param {object} [options={}] Store options.
+     * @param {number} [options.max=1000] Maximum number of entries.
+     * @param {number} [options.ttl=0] Default time to live of the entries, in milliseconds. 0 means forever.
+     * @memberof LuciusMemoryStore
+     */
+    constructor({max = 1000, ttl = 0} = {}) {
+        this.max = max;
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get the value of a key.
+     * @param {string} key
+     * @returns {any} The value, or undefined if missing or expired.
+     * @memberof LuciusMemoryStore
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires && entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // move it to the end, as the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Set the value of a key.
+     * @param {string} key
+     * @param {any} value
+     * @param {number} [ttl] Time to live, in milliseconds. Defaults to the store ttl.
+     * @memberof LuciusMemoryStore
+     */
+    set(key, value, ttl = this.ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, {value, expires: ttl > 0 ? Date.now() + ttl : 0});
+        while (this.entries.size > this.max) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Delete a key.
+     * @param {string} key
+     * @memberof LuciusMemoryStore
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Delete all the keys.
+     * @memberof LuciusMemoryStore
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = LuciusMemoryStore;
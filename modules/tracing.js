@@ -0,0 +1,89 @@
+'use strict';
+const crypto = require('crypto');
+
+/**
+ * @typedef TraceContext
+ * @type {object}
+ * @property {string} traceId - 32 hex digits, shared by all the spans of a trace.
+ * @property {string} spanId - 16 hex digits, identifies one request.
+ * @property {?string} parentSpanId - The span of the request that caused this one, if any.
+ */
+
+/**
+ * @typedef Span
+ * @type {object}
+ * @property {string} traceId - See TraceContext.
+ * @property {string} spanId - See TraceContext.
+ * @property {?string} parentSpanId - See TraceContext.
+ * @property {string} traceparent - The span in W3C traceparent header format.
+ * @property {string} name - Seneca message pattern.
+ * @property {string} kind - Always 'client', spans are recorded by the requesting side.
+ * @property {number} startTime - Timestamp, in milliseconds.
+ * @property {number} endTime - Timestamp, in milliseconds.
+ * @property {string} status - One of 'success', 'failure' or 'fatal'.
+ */
+
+const randomId = bytes => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Create the trace context of a new span.
+ * @param {?TraceContext} [parent=null] Context of the parent span. If missing, a new trace is started.
+ * @returns {TraceContext}
+ */
+const child = (parent = null) => ({
+    traceId: parent && parent.traceId || randomId(16),
+    spanId: randomId(8),
+    parentSpanId: parent && parent.spanId || null,
+});
+
+/**
+ * Format a trace context as a W3C traceparent header value.
+ * @param {TraceContext} context
+ * @returns {string}
+ */
+const toTraceparent = ({traceId, spanId}) => `00-${traceId}-${spanId}-01`;
+
+/**
+ * Parse a W3C traceparent header value.
+ * @param {string} header
+ * @returns {?TraceContext} The context, or null if the header is missing or malformed.
+ */
+const fromTraceparent = header => {
+    const match = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/.exec(String(header || '').trim());
+    return match ? {traceId: match[1], spanId: match[2], parentSpanId: null} : null;
+};
+
+/**
+ * Pass a finished span to a sink. Sink errors are logged and otherwise ignored.
+ * @param {?function} sink Function(span), or falsey to skip exporting.
+ * @param {object} logger Logger for sink errors.
+ * @param {TraceContext} context Trace context of the span.
+ * @param {string} name Seneca message pattern.
+ * @param {number} startTime Timestamp, in milliseconds.
+ * @param {string} status One of 'success', 'failure' or 'fatal'.
+ */
+const exportSpan = (sink, logger, context, name, startTime, status) => {
+    if (typeof sink !== 'function') {
+        return;
+    }
+    const span = Object.assign({}, context, {
+        traceparent: toTraceparent(context),
+        name,
+        kind: 'client',
+        startTime,
+        endTime: Date.now(),
+        status,
+    });
+    try {
+        Promise.resolve(sink(span)).catch(e => logger.error.format('LUCIUS', 'SPAN', name, undefined, e));
+    } catch (e) {
+        logger.error.format('LUCIUS', 'SPAN', name, undefined, e);
+    }
+};
+
+module.exports = {
+    child,
+    toTraceparent,
+    fromTraceparent,
+    exportSpan,
+};
@@ -42,6 +42,41 @@ module.exports = {
             });
         };
     },
+    canonicalPattern: pattern => typeof pattern === 'string'
+        ? pattern.split(',').map(part => part.trim()).filter(part => part).sort().join(',')
+        : pattern,
+    lookup: (source, path) => path.split('.').reduce(
+        (value, key) => value && (typeof value === 'object' || typeof value === 'function') ? value[key] : undefined,
+        source
+    ),
+    sleep: ms => new Promise(resolve => setTimeout(resolve, ms)),
+    stableStringify: value => JSON.stringify(value, (key, item) => {
+        // plain objects are serialized with sorted keys, so that equal objects
+        // give the same string whatever the order their keys were set in
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return item;
+        }
+        const sorted = {};
+        Object.keys(item).sort().forEach(name => {
+            sorted[name] = item[name];
+        });
+        return sorted;
+    }),
+    mapConcurrent: async (items, limit, f) => {
+        // a fixed number of workers take the items in order, so at most
+        // limit calls of f are pending at any time
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await f(items[index], index);
+            }
+        };
+        const workers = Math.max(1, Math.min(limit, items.length));
+        await Promise.all(Array.from({length: workers}, worker));
+        return results;
+    },
     filterCoreArgs: args => {
         if (typeof args !== 'object' || !args || Array.isArray(args)) {
             return args;
@@ -0,0 +1,84 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const authorization = require('../modules/authorization');
+const generateOpenApi = require('../modules/openapi');
+
+describe('authorization', function () {
+    let seneca;
+    let lucius;
+    let lines;
+
+    beforeEach(function () {
+        lines = [];
+        const log = (...params) => lines.push(params.join(' '));
+        seneca = createSeneca();
+        lucius = new Lucius(seneca, {logger: {error: log, warn: log, info: log, debug: log}});
+        lucius.register('role:authTest,cmd:update', async (respond, args) => respond.success(args), {
+            authorize: {roles: ['admin'], owner: (args, session) => args.id === session.user.id},
+        });
+        lucius.register('role:authTest,cmd:report', async respond => respond.success(), {
+            authorize: async (args, session) => session.user.id !== 'suspended',
+        });
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    const codes = message => message.getErrors().map(({code}) => code);
+
+    it('answers messages without a user with UNAUTHENTICATED', async function () {
+        assert.deepStrictEqual(codes(await lucius.request('role:authTest,cmd:update', {id: 'jane'})), ['UNAUTHENTICATED']);
+    });
+
+    it('grants access to any of the roles, or to the owner', async function () {
+        const admin = {user: {id: 'root', roles: ['admin']}};
+        assert.ok((await lucius.request('role:authTest,cmd:update', {id: 'jane'}, admin)).isSuccessful());
+        assert.ok((await lucius.request('role:authTest,cmd:update', {id: 'jane'}, {user: {id: 'jane'}})).isSuccessful());
+        const other = await lucius.request('role:authTest,cmd:update', {id: 'jane'}, {user: {id: 'joe', role: 'user'}});
+        assert.deepStrictEqual(codes(other), ['FORBIDDEN']);
+        assert.ok(lines.some(line => line.indexOf('[DENIED]') !== -1 && line.indexOf('user joe') !== -1));
+    });
+
+    it('runs custom checks', async function () {
+        assert.ok((await lucius.request('role:authTest,cmd:report', {}, {user: {id: 'jane'}})).isSuccessful());
+        assert.deepStrictEqual(codes(await lucius.request('role:authTest,cmd:report', {}, {user: {id: 'suspended'}})),
+            ['FORBIDDEN']);
+    });
+
+    it('checks the policy before the before hooks and input validation', async function () {
+        const seen = [];
+        lucius.register('role:authTest,cmd:hooked', async respond => respond.success(), {
+            authorize: args => {
+                seen.push(['authorize', args.id]);
+                return args.id !== 'denied';
+            },
+            before: async (respond, args) => {
+                seen.push(['before', args.id]);
+                args.id = 'denied';
+            },
+            input: {type: 'object', required: ['name']},
+        });
+        const denied = await lucius.request('role:authTest,cmd:hooked', {id: 'denied'}, {user: {id: 'jane'}});
+        assert.deepStrictEqual(codes(denied), ['FORBIDDEN']);
+        assert.deepStrictEqual(seen, [['authorize', 'denied']]);
+        const invalid = await lucius.request('role:authTest,cmd:hooked', {id: 'jane'}, {user: {id: 'jane'}});
+        assert.deepStrictEqual(codes(invalid), ['VALIDATION_FAILED']);
+        assert.deepStrictEqual(seen.slice(1), [['authorize', 'jane'], ['before', 'jane']]);
+    });
+
+    it('refuses malformed policies when registering', function () {
+        const handler = async respond => respond.success();
+        assert.throws(() => lucius.register('role:authTest,cmd:bad', handler, {authorize: {roles: 'admin'}}), TypeError);
+        assert.throws(() => lucius.register('role:authTest,cmd:bad', handler, {authorize: {owner: true}}), TypeError);
+        assert.throws(() => authorization.normalize({}), /must have roles, owner or check/);
+    });
+
+    it('documents the authorization failures', function () {
+        const operation = generateOpenApi(lucius).paths['/role:authTest,cmd:update'].post;
+        assert.deepStrictEqual(operation.responses[200]['x-lucius-errors'].map(({code}) => code),
+            ['UNAUTHENTICATED', 'FORBIDDEN']);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+
+describe('response caching', function () {
+    let seneca;
+    let lucius;
+    let runs;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        runs = 0;
+        lucius.register('role:cacheTest,cmd:get', async function (responder, args) {
+            runs++;
+            if (args.name === 'missing') {
+                return responder.failure(new LuciusError(E.VALIDATION_FAILED));
+            }
+            return responder.success({name: args.name, run: runs});
+        });
+        lucius.setCache('role:cacheTest,cmd:get', {ttl: 1000});
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    const get = (args, session) => lucius.request('role:cacheTest,cmd:get', args, session);
+
+    it('answers the same arguments from the cache, whatever their order', async function () {
+        const first = await get({name: 'limits', scope: 'eu'});
+        const again = await get({scope: 'eu', name: 'limits'}, {user: {id: 'joe'}});
+        assert.deepStrictEqual(again.getPayload(), first.getPayload());
+        await get({name: 'other', scope: 'eu'});
+        assert.strictEqual(runs, 2);
+    });
+
+    it('never caches failures', async function () {
+        await get({name: 'missing'});
+        assert.strictEqual((await get({name: 'missing'})).isSuccessful(), false);
+        assert.strictEqual(runs, 2);
+    });
+
+    it('hands out copies of the cached responses', async function () {
+        await get({name: 'limits'});
+        (await get({name: 'limits'})).getPayload().name = 'changed';
+        assert.strictEqual((await get({name: 'limits'})).getPayload().name, 'limits');
+    });
+
+    it('drops one or all of the cached responses', async function () {
+        await get({name: 'a'});
+        await get({name: 'b'});
+        await lucius.invalidateCache('role:cacheTest,cmd:get', {name: 'a'});
+        await get({name: 'a'});
+        await get({name: 'b'});
+        assert.strictEqual(runs, 3);
+        await lucius.invalidateCache('role:cacheTest,cmd:get');
+        await get({name: 'b'});
+        assert.strictEqual(runs, 4);
+        lucius.setCache('role:cacheTest,cmd:get', null);
+        await get({name: 'b'});
+        assert.strictEqual(runs, 5);
+    });
+
+    it('uses the key function, skipping requests with a null key', async function () {
+        lucius.setCache('role:cacheTest,cmd:get', {key: (args, session) => session.user ? [session.user.id, args.name] : null});
+        await get({name: 'a'}, {user: {id: 'jane'}});
+        await get({name: 'a'}, {user: {id: 'jane'}});
+        await get({name: 'a'}, {user: {id: 'joe'}});
+        await get({name: 'a'});
+        await get({name: 'a'});
+        assert.strictEqual(runs, 4);
+        assert.throws(() => lucius.setCache('role:cacheTest,cmd:get', {key: 'name'}), TypeError);
+    });
+
+    it('treats store problems as misses', async function () {
+        const broken = {
+            get: async () => {
+                throw new Error('store down');
+            },
+            set: async () => {
+                throw new Error('store down');
+            },
+        };
+        lucius.setCache('role:cacheTest,cmd:get', {store: broken});
+        assert.strictEqual((await get({name: 'a'})).isSuccessful(), true);
+        assert.strictEqual((await get({name: 'a'})).isSuccessful(), true);
+        assert.strictEqual(runs, 2);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+const assert = require('assert');
+require('./support');
+const LuciusHarness = require('../testing/harness');
+const Lucius = require('../modules/lucius');
+const LuciusContractRecorder = require('../modules/contracts');
+const {E, LuciusError} = require('../error');
+
+describe('contracts', function () {
+    let harness;
+    let recorder;
+    let consumer;
+
+    beforeEach(async function () {
+        harness = new LuciusHarness();
+        harness.register('role:auth,cmd:login', async function (responder, args) {
+            if (args.password !== 'secret') {
+                return responder.failure(new LuciusError(E.VALIDATION_FAILED));
+            }
+            return responder.success({token: {value: 'abc'}, name: 'Jane'});
+        });
+        harness.register('role:users,cmd:get', async function (responder, args) {
+            return responder.success({id: args.id, token: {value: 'abc'}});
+        });
+        recorder = new LuciusContractRecorder({directions: ['outbound']});
+        consumer = new Lucius(harness.bus, {contracts: recorder, describe: false});
+        await consumer.request('role:auth,cmd:login', {email: 'jane@example.com', password: 'secret'});
+        await consumer.request('role:users,cmd:get', {id: 42});
+    });
+
+    it('replays the exchanges as recorded', async function () {
+        const {passed, results} = await LuciusContractRecorder.verify(harness.lucius, recorder.exchanges);
+        assert.strictEqual(passed, true);
+        assert.deepStrictEqual(results.map(({status}) => status), ['passed', 'passed']);
+    });
+
+    it('redacts the saved exchanges only', function () {
+        assert.strictEqual(recorder.exchanges[0].args.password, 'secret');
+        const [login, get] = recorder.toJSON().exchanges;
+        assert.strictEqual(login.args.password, '[REDACTED]');
+        assert.strictEqual(login.redacted, '[REDACTED]');
+        assert.deepStrictEqual(get.args, {id: 42});
+    });
+
+    it('skips saved exchanges with redacted arguments, and accepts redacted payloads', async function () {
+        const {passed, results} = await LuciusContractRecorder.verify(harness.lucius, recorder.toJSON().exchanges);
+        assert.strictEqual(passed, true);
+        assert.deepStrictEqual(results.map(({status}) => status), ['skipped', 'passed']);
+    });
+
+    it('finds providers that changed', async function () {
+        harness.register('role:users,cmd:get', async function (responder, args) {
+            return responder.success({id: String(args.id), token: {value: 'abc'}});
+        });
+        const {passed, results} = await LuciusContractRecorder.verify(harness.lucius, recorder.exchanges);
+        assert.strictEqual(passed, false);
+        assert.deepStrictEqual(results[1].problems, ['payload.id: expected number, got string']);
+    });
+});
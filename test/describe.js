@@ -0,0 +1,67 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+
+describe('describe()', function () {
+    let seneca;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('lists the registered handlers with parsed schemas', function () {
+        const lucius = new Lucius(seneca, {plugin: 'users', describe: false});
+        const input = {type: 'object', properties: {id: {type: 'string'}}};
+        lucius.register('role:describeTest,cmd:get', async respond => respond.success(), {
+            input: JSON.stringify(input),
+            description: 'Get a user.',
+            errors: ['VALIDATION_FAILED'],
+        });
+        lucius.register('role:describeTest,cmd:list', async respond => respond.success(), {plugin: 'lists'});
+        const [get, list] = lucius.describe();
+        assert.deepStrictEqual(Object.assign({}, get, {registeredAt: null}), {
+            pattern: 'role:describeTest,cmd:get',
+            input,
+            output: null,
+            description: 'Get a user.',
+            errors: ['VALIDATION_FAILED'],
+            plugin: 'users',
+            registeredAt: null,
+        });
+        assert.ok(!isNaN(Date.parse(get.registeredAt)));
+        assert.strictEqual(list.plugin, 'lists');
+        assert.strictEqual(JSON.parse(JSON.stringify(lucius.describe()))[0].pattern, 'role:describeTest,cmd:get');
+    });
+
+    it('takes the plugin name from pluginInit()', function () {
+        const lucius = new Lucius(seneca, {describe: false});
+        lucius.pluginInit('describeTest');
+        lucius.register('role:describeTest,cmd:get', async respond => respond.success());
+        assert.strictEqual(lucius.describe()[0].plugin, 'describeTest');
+    });
+
+    it('answers the describe pattern for all the instances of a Seneca instance', async function () {
+        const users = new Lucius(seneca, {plugin: 'users'});
+        const lists = new Lucius(seneca, {plugin: 'lists'});
+        users.register('role:describeTest,cmd:get', async respond => respond.success());
+        lists.register('role:describeTest,cmd:list', async respond => respond.success());
+        const {handlers} = (await users.request(Lucius.DESCRIBE_PATTERN, {})).getPayload();
+        assert.deepStrictEqual(handlers.map(({pattern, plugin}) => [pattern, plugin]), [
+            ['role:describeTest,cmd:get', 'users'],
+            [Lucius.DESCRIBE_PATTERN, 'lucius'],
+            ['role:describeTest,cmd:list', 'lists'],
+        ]);
+    });
+
+    it('leaves the describe pattern out on request', function () {
+        const lucius = new Lucius(seneca, {describe: false});
+        lucius.register('role:describeTest,cmd:get', async respond => respond.success());
+        assert.strictEqual(seneca.has(Lucius.DESCRIBE_PATTERN), false);
+        assert.strictEqual(lucius.getHandler(Lucius.DESCRIBE_PATTERN), null);
+    });
+});
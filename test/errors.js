@@ -0,0 +1,43 @@
+'use strict';
+const assert = require('assert');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+
+describe('error registry', function () {
+    it('registers codes at runtime', function () {
+        const definitions = Lucius.defineErrors({
+            REGISTRY_TEST: {message: ({id}) => `Item ${id} not found.`, httpStatus: 404},
+        });
+        assert.strictEqual(definitions.REGISTRY_TEST, E.REGISTRY_TEST);
+        assert.ok(E.has('REGISTRY_TEST'));
+        const e = new LuciusError(E.REGISTRY_TEST, {id: 42});
+        assert.strictEqual(e.code, 'REGISTRY_TEST');
+        assert.strictEqual(e.message, 'Item 42 not found.');
+        assert.strictEqual(E.get('REGISTRY_TEST').httpStatus, 404);
+    });
+
+    it('prefixes namespaced codes', function () {
+        const registryTest = E.namespace('registryTest');
+        registryTest.define({NOT_FOUND: {message: () => 'User not found.'}});
+        assert.ok(registryTest.has('NOT_FOUND'));
+        assert.strictEqual(registryTest.get('NOT_FOUND'), E['registryTest.NOT_FOUND']);
+        assert.strictEqual(new LuciusError('registryTest.NOT_FOUND').code, 'registryTest.NOT_FOUND');
+    });
+
+    it('refuses codes registered twice', function () {
+        E.namespace('registryTwice').register('TAKEN', {message: () => 'Taken.'});
+        assert.throws(() => E.namespace('registryTwice').register('TAKEN', {message: () => 'Again.'}),
+            /'registryTwice.TAKEN' is already registered by 'registryTwice'/);
+    });
+
+    it('refuses malformed definitions', function () {
+        assert.throws(() => E.register('REGISTRY_MALFORMED', {message: 'not a function'}), TypeError);
+        assert.throws(() => E.register('', {message: () => ''}), TypeError);
+        assert.ok(!E.has('REGISTRY_MALFORMED'));
+    });
+
+    it('only lists codes when iterated', function () {
+        assert.ok(Object.keys(E).every(code => E[code].code === code));
+        assert.throws(() => new LuciusError('REGISTRY_UNKNOWN'), /Unknown message code/);
+    });
+});
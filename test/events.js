@@ -0,0 +1,80 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const util = require('../modules/util');
+
+// logger which keeps the first parameter of the errors given to it
+const recordingLogger = () => {
+    const errors = [];
+    const ignore = () => {};
+    return {errors, error: (...params) => errors.push(params[0]), warn: ignore, info: ignore, debug: ignore};
+};
+
+describe('domain events', function () {
+    let seneca;
+    let target;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        target = recordingLogger();
+        lucius = new Lucius(seneca, {logger: target});
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('delivers events to the subscribers of every instance, with the session info', async function () {
+        const other = new Lucius(seneca, {logger: target});
+        const received = [];
+        lucius.subscribe('users.created', async (payload, sessionInfo, eventName) => {
+            received.push(['lucius', payload.id, sessionInfo.user.id, eventName]);
+        });
+        other.subscribe('users.created', async payload => {
+            received.push(['other', payload.id]);
+        });
+        lucius.publish('users.created', {id: 1}, {user: {id: 'jane'}});
+        await util.sleep(20);
+        assert.deepStrictEqual(received, [['lucius', 1, 'jane', 'users.created'], ['other', 1]]);
+    });
+
+    it('keeps subscriber errors and invalid payloads away from the other subscribers', async function () {
+        const received = [];
+        lucius.subscribe('users.created', async () => {
+            throw new Error('mail server down');
+        });
+        lucius.subscribe('users.created', async payload => {
+            received.push(payload.id);
+        }, {schema: {type: 'object', required: ['id']}});
+        lucius.subscribe('users.created', async payload => {
+            received.push(payload.email);
+        }, {schema: {type: 'object', required: ['email']}});
+        lucius.publish('users.created', {id: 1});
+        await util.sleep(20);
+        assert.deepStrictEqual(received, [1]);
+        assert.strictEqual(target.errors.filter(line => /\[(SUBSCRIBER|EVENT-VALIDATION)\]/.test(line)).length, 2);
+    });
+
+    it('cancels subscriptions, and publishes events nobody listens to without errors', async function () {
+        const received = [];
+        const cancel = lucius.subscribe('users.deleted', async payload => {
+            received.push(payload.id);
+        });
+        lucius.publish('users.deleted', {id: 1});
+        await util.sleep(20);
+        cancel();
+        lucius.publish('users.deleted', {id: 2});
+        lucius.publish('users.archived', {id: 3});
+        await util.sleep(20);
+        assert.deepStrictEqual(received, [1]);
+        assert.deepStrictEqual(target.errors, []);
+    });
+
+    it('rejects event names that could not be part of a pattern', function () {
+        assert.strictEqual(lucius.getEventPattern('users.created'), 'role:lucius,event:users.created');
+        assert.throws(() => lucius.publish('users,created'), TypeError);
+        assert.throws(() => lucius.subscribe('users.created', null), TypeError);
+    });
+});
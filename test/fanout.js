@@ -0,0 +1,104 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+const util = require('../modules/util');
+
+Lucius.defineErrors({
+    FANOUT_TEST_MISSING: {message: ({id}) => `User ${id} not found.`},
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('fan-out', function () {
+    let seneca;
+    let lucius;
+    let inFlight;
+    let maxInFlight;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        inFlight = 0;
+        maxInFlight = 0;
+        lucius.register('role:fanoutTest,cmd:get', async function (responder, args) {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            // later ids answer sooner, to check the order of the results
+            await delay(20 - args.id * 4);
+            inFlight--;
+            if (args.id < 0) {
+                return responder.failure(new LuciusError(E.FANOUT_TEST_MISSING, {id: args.id}));
+            }
+            return responder.success({id: args.id});
+        });
+        seneca.add('role:fanoutTest,cmd:crash', (args, done) => done(new Error('crashed')));
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    const fanOut = (method, calls, options) => {
+        lucius.register('role:fanoutTest,cmd:all', async function (responder) {
+            return responder.success(await responder[method](calls, options));
+        });
+        return lucius.request('role:fanoutTest,cmd:all');
+    };
+
+    it('returns the payloads in order, with limited concurrency', async function () {
+        const calls = [1, 2, 3, 4].map(id => ['role:fanoutTest,cmd:get', {id}]);
+        const message = await fanOut('inquestAll', calls, {concurrency: 2});
+        assert.deepStrictEqual(message.getPayload(), [{id: 1}, {id: 2}, {id: 3}, {id: 4}]);
+        assert.strictEqual(maxInFlight, 2);
+    });
+
+    it('answers with the errors of all the failed requests', async function () {
+        const message = await fanOut('inquestAll', [
+            {pattern: 'role:fanoutTest,cmd:get', args: {id: -1}},
+            {pattern: 'role:fanoutTest,cmd:get', args: {id: 1}},
+            {pattern: 'role:fanoutTest,cmd:get', args: {id: -2}},
+        ]);
+        assert.strictEqual(message.isSuccessful(), false);
+        assert.deepStrictEqual(message.getErrors().map(({message}) => message),
+            ['User -1 not found.', 'User -2 not found.']);
+    });
+
+    it('reports the outcome of each request when settled', async function () {
+        lucius.register('role:fanoutTest,cmd:settled', async function (responder) {
+            const outcomes = await responder.inquestSettled([
+                ['role:fanoutTest,cmd:get', {id: 1}],
+                ['role:fanoutTest,cmd:get', {id: -1}],
+                ['role:fanoutTest,cmd:crash'],
+            ]);
+            return responder.success(outcomes.map(({status, payload, errors, error}) => [
+                status, payload || errors && errors[0].code || error && !!error,
+            ]));
+        });
+        const message = await lucius.request('role:fanoutTest,cmd:settled');
+        assert.deepStrictEqual(message.getPayload(),
+            [['success', {id: 1}], ['failure', 'FANOUT_TEST_MISSING'], ['fatal', true]]);
+    });
+
+    it('continues the trace of the request being handled', async function () {
+        const traces = [];
+        lucius.register('role:fanoutTest,cmd:trace', async function (responder, args, session) {
+            traces.push(session.trace.traceId);
+            return responder.success();
+        });
+        lucius.register('role:fanoutTest,cmd:parent', async function (responder, args, session) {
+            traces.push(session.trace.traceId);
+            await responder.inquestAll([['role:fanoutTest,cmd:trace'], ['role:fanoutTest,cmd:trace']]);
+            return responder.success();
+        });
+        await lucius.request('role:fanoutTest,cmd:parent');
+        assert.strictEqual(traces.length, 3);
+        assert.ok(traces.every(traceId => traceId === traces[0]));
+    });
+
+    it('maps with at least one worker, and nothing to do for no items', async function () {
+        assert.deepStrictEqual(await util.mapConcurrent([1, 2, 3], 0, async item => item * 2), [2, 4, 6]);
+        assert.deepStrictEqual(await util.mapConcurrent([], 4, async item => item), []);
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+const createGateway = require('../middleware/gateway');
+const tracing = require('../modules/tracing');
+
+Lucius.defineErrors({
+    GATEWAY_TEST_GONE: {message: () => 'Gone.', httpStatus: 410},
+    GATEWAY_TEST_OTHER: {message: () => 'Other.'},
+});
+
+// just enough of an Express response
+const response = () => {
+    const res = {statusCode: null, body: undefined};
+    res.status = status => {
+        res.statusCode = status;
+        return res;
+    };
+    res.json = body => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+describe('HTTP gateway', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        lucius.register('role:gatewayTest,cmd:echo', async (respond, args, session) => respond.success({args, session}));
+        lucius.register('role:gatewayTest,cmd:gone', async respond => respond.failure(new LuciusError(E.GATEWAY_TEST_GONE)));
+        lucius.register('role:gatewayTest,cmd:other', async respond => respond.failure(new LuciusError(E.GATEWAY_TEST_OTHER)));
+        lucius.register('role:gatewayTest,cmd:crash', async () => {
+            throw new Error('database password is hunter2');
+        });
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('answers Express requests with the payload', async function () {
+        const gateway = createGateway();
+        const params = {source: 'shared'};
+        const res = response();
+        const req = {seneca, params: {id: '7'}, __: {user: {id: 'jane'}, locale: 'ro', secret: 'no'}};
+        await gateway.express('role:gatewayTest,cmd:echo', req => Object.assign({id: req.params.id}, params))(req, res);
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.body.args, {id: '7', source: 'shared'});
+        assert.deepStrictEqual([res.body.session.user, res.body.session.locale, res.body.session.secret],
+            [{id: 'jane'}, 'ro', undefined]);
+        assert.deepStrictEqual(params, {source: 'shared'});
+    });
+
+    it('continues the trace of the traceparent header', async function () {
+        const gateway = createGateway();
+        const parent = tracing.child();
+        const {body} = await gateway.run({seneca, headers: {traceparent: tracing.toTraceparent(parent)}},
+            'role:gatewayTest,cmd:echo', {});
+        assert.strictEqual(body.session.trace.traceId, parent.traceId);
+    });
+
+    it('maps failures to HTTP statuses', async function () {
+        const gateway = createGateway({statuses: {GATEWAY_TEST_OTHER: 418}});
+        const gone = await gateway.run({seneca}, 'role:gatewayTest,cmd:gone', {});
+        assert.strictEqual(gone.status, 410);
+        assert.deepStrictEqual(gone.body, {
+            success: false,
+            errors: [{code: 'GATEWAY_TEST_GONE', message: 'Gone.', locale: undefined, details: undefined, path: undefined}],
+        });
+        assert.strictEqual((await gateway.run({seneca}, 'role:gatewayTest,cmd:other', {})).status, 418);
+        assert.strictEqual((await createGateway().run({seneca}, 'role:gatewayTest,cmd:other', {})).status, 400);
+    });
+
+    it('hides the message of unregistered fatal errors', async function () {
+        const {status, body} = await createGateway().run({seneca}, 'role:gatewayTest,cmd:crash', {});
+        assert.strictEqual(status, 500);
+        assert.deepStrictEqual(body.errors.map(({code, message}) => [code, message]), [['INTERNAL_ERROR', 'Internal error.']]);
+    });
+
+    it('answers Koa requests, finding Seneca in the state', async function () {
+        const ctx = {state: {seneca}, params: {id: '8'}};
+        await createGateway().koa('role:gatewayTest,cmd:gone', {})(ctx);
+        assert.strictEqual(ctx.status, 410);
+        let payload = null;
+        await createGateway().koa('role:gatewayTest,cmd:echo', {id: 8}, (ctx, body) => {
+            payload = body;
+        })(ctx);
+        assert.deepStrictEqual(payload.args, {id: 8});
+    });
+
+    it('passes a missing Seneca instance to the Express error handler', async function () {
+        let error = null;
+        await createGateway().express('role:gatewayTest,cmd:echo', {})({}, response(), e => {
+            error = e;
+        });
+        assert.ok(/Seneca instance not found/.test(error.message));
+    });
+});
@@ -0,0 +1,94 @@
+'use strict';
+const assert = require('assert');
+require('./support');
+const {E, LuciusError} = require('../error');
+const LuciusHarness = require('../testing/harness');
+const LuciusBus = require('../testing/bus');
+
+describe('test harness', function () {
+    let harness;
+
+    beforeEach(function () {
+        harness = new LuciusHarness();
+        harness.register('role:users,cmd:get', async function (responder, args, session) {
+            const user = await responder.inquest('role:db,cmd:find', {id: args.id}, {user: session.user});
+            return responder.success(Object.assign({viewer: session.user.id}, user));
+        }, {input: {type: 'object', required: ['id'], properties: {id: {type: 'integer'}}}});
+    });
+
+    it('runs handlers against stubbed downstream patterns', async function () {
+        const db = harness.stub('role:db,cmd:find', {name: 'Jane'});
+        const payload = harness.expectSuccess(await harness.call('role:users,cmd:get', {id: 42}, {user: {id: 'joe'}}));
+        assert.deepStrictEqual(payload, {viewer: 'joe', name: 'Jane'});
+        assert.strictEqual(db.calls.length, 1);
+        assert.strictEqual(db.calls[0].args.id, 42);
+        assert.deepStrictEqual(db.calls[0].session.user, {id: 'joe'});
+    });
+
+    it('validates the input of the handlers', async function () {
+        const errors = harness.expectFailure(await harness.call('role:users,cmd:get', {}), 'VALIDATION_FAILED');
+        assert.strictEqual(errors.length, 1);
+    });
+
+    it('answers with the failures, fatal errors and function results of stubs', async function () {
+        harness.stub('role:db,cmd:find', new LuciusError(E.VALIDATION_FAILED));
+        const failed = await harness.lucius.request('role:db,cmd:find', {});
+        harness.expectFailure(failed, E.VALIDATION_FAILED.code);
+        harness.stub('role:db,cmd:find', new Error('disk full'));
+        await assert.rejects(harness.call('role:db,cmd:find'), error => /disk full/.test(error.message));
+        harness.stub('role:db,cmd:find', async args => ({name: `user ${args.id}`}));
+        assert.deepStrictEqual(harness.expectSuccess(await harness.call('role:db,cmd:find', {id: 7})), {name: 'user 7'});
+    });
+
+    it('lets stubs override the registered handlers', async function () {
+        harness.stub('role:users,cmd:get', {name: 'Stub'});
+        assert.deepStrictEqual(harness.expectSuccess(await harness.call('role:users,cmd:get', {id: 1})), {name: 'Stub'});
+        assert.deepStrictEqual(harness.lucius.getHandlers().map(({pattern}) => pattern), ['role:users,cmd:get']);
+    });
+
+    it('fails assertions on unexpected messages', async function () {
+        const failure = await harness.call('role:users,cmd:get', {});
+        assert.throws(() => harness.expectSuccess(failure),
+            {name: 'AssertionError', message: 'Expected a successful message, got a failure with VALIDATION_FAILED.'});
+        assert.throws(() => LuciusHarness.expectFailure(failure, 'VALIDATION_FAILED', 'NOT_THERE'),
+            {name: 'AssertionError', message: 'Expected a failure with VALIDATION_FAILED, NOT_THERE, got a failure with VALIDATION_FAILED.'});
+        harness.stub('role:db,cmd:find', {});
+        const success = await harness.call('role:users,cmd:get', {id: 1}, {user: {id: 'joe'}});
+        assert.throws(() => harness.expectFailure(success),
+            {name: 'AssertionError', message: 'Expected a failure with any error, got a successful message.'});
+    });
+});
+
+describe('in-memory bus', function () {
+    const act = (bus, ...params) => new Promise((resolve, reject) => bus.act(...params, (err, result) => {
+        return err ? reject(err) : resolve(result);
+    }));
+
+    it('picks the most specific pattern, and the last added among equals', async function () {
+        const bus = new LuciusBus();
+        bus.add('role:users', (args, next) => next(null, 'role'));
+        bus.add('role:users,cmd:get', (args, next) => next(null, 'first'));
+        bus.add({role: 'users', cmd: 'get'}, (args, next) => next(null, 'last'));
+        assert.strictEqual(await act(bus, 'role:users,cmd:get', {id: 1}), 'last');
+        assert.strictEqual(await act(bus, {role: 'users', cmd: 'list'}), 'role');
+        assert.strictEqual(bus.has('role:users,cmd:get'), true);
+    });
+
+    it('fails messages nobody handles like Seneca', async function () {
+        await assert.rejects(act(new LuciusBus(), 'role:users,cmd:get', {__: {}}),
+            {code: 'act_not_found', message: "No handler found for 'role:users,cmd:get'."});
+    });
+
+    it('passes thrown errors to the callback, once', async function () {
+        const bus = new LuciusBus();
+        bus.add('role:users', () => {
+            throw new Error('broken');
+        });
+        await assert.rejects(act(bus, 'role:users'), /broken/);
+    });
+
+    it('refuses malformed patterns', function () {
+        assert.throws(() => LuciusBus.parsePattern('role:users,get'), TypeError);
+        assert.throws(() => new LuciusBus().add('role:users'), TypeError);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+const assert = require('assert');
+require('./support');
+const LuciusHarness = require('../testing/harness');
+const LuciusMemoryStore = require('../modules/store');
+
+const JANE = {user: {id: 'jane', roles: ['buyer']}};
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('idempotency', function () {
+    let harness;
+    let runs;
+
+    beforeEach(function () {
+        harness = new LuciusHarness();
+        runs = 0;
+        harness.register('role:orders,cmd:create', async function (responder) {
+            runs++;
+            return responder.success({id: runs});
+        }, {idempotency: true, authorize: ['buyer']});
+    });
+
+    it('runs the handler once per key and user', async function () {
+        const first = harness.expectSuccess(await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, JANE));
+        const again = harness.expectSuccess(await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, JANE));
+        assert.deepStrictEqual(again, first);
+        await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, {user: {id: 'joe', roles: ['buyer']}});
+        await harness.call('role:orders,cmd:create', {}, {user: {id: 'jane', roles: ['buyer'], idempotencyKey: 'b'}});
+        await harness.call('role:orders,cmd:create', {}, Object.assign({idempotencyKey: 'a'}, JANE));
+        assert.strictEqual(runs, 3);
+    });
+
+    it('authorizes the message before replaying the stored response', async function () {
+        harness.expectSuccess(await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, JANE));
+        const denied = await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, {user: {id: 'jane'}});
+        harness.expectFailure(denied, 'FORBIDDEN');
+    });
+
+    it('skips idempotency for messages without a user ID', async function () {
+        harness.register('role:orders,cmd:quote', async function (responder) {
+            runs++;
+            return responder.success({id: runs});
+        }, {idempotency: true});
+        await harness.call('role:orders,cmd:quote', {idempotencyKey: 'a'});
+        await harness.call('role:orders,cmd:quote', {idempotencyKey: 'a'});
+        await harness.call('role:orders,cmd:quote', {idempotencyKey: 'a'}, {user: {name: 'no id'}});
+        assert.strictEqual(runs, 3);
+    });
+
+    it('keeps the key locked until the handler is done, even after a timeout', async function () {
+        harness.register('role:orders,cmd:slow', async function (responder) {
+            runs++;
+            await delay(50);
+            return responder.success({id: runs});
+        }, {idempotency: true, timeout: 20});
+        const calls = [1, 2].map(() => harness.call('role:orders,cmd:slow', {idempotencyKey: 'a'}, JANE));
+        await Promise.all(calls.map(call => assert.rejects(call, /HANDLER_TIMEOUT|did not respond/)));
+        await delay(80);
+        assert.strictEqual(runs, 1);
+    });
+
+    it('does not store fatal errors, and answers with a fatal error when the key function fails', async function () {
+        let fail = true;
+        harness.register('role:orders,cmd:pay', async function (responder) {
+            runs++;
+            return fail ? responder.fatal(new Error('card declined')) : responder.success({paid: true});
+        }, {idempotency: {key: args => args.paymentId}});
+        await assert.rejects(harness.call('role:orders,cmd:pay', {paymentId: 'p'}, JANE), /card declined/);
+        fail = false;
+        harness.expectSuccess(await harness.call('role:orders,cmd:pay', {paymentId: 'p'}, JANE));
+        harness.register('role:orders,cmd:refund', async responder => responder.success({}), {
+            idempotency: {
+                key: async () => {
+                    throw new Error('boom');
+                },
+            },
+        });
+        await assert.rejects(harness.call('role:orders,cmd:refund', {}, JANE), /boom/);
+    });
+
+    it('evicts the least recently used and expired responses from the memory store', async function () {
+        const store = new LuciusMemoryStore({max: 2});
+        store.set('a', 1, 1000);
+        store.set('b', 2, 1000);
+        store.get('a');
+        store.set('c', 3, 1000);
+        assert.deepStrictEqual(['a', 'b', 'c'].map(key => store.get(key)), [1, undefined, 3]);
+        store.set('d', 4, 1);
+        await delay(5);
+        assert.strictEqual(store.get('d'), undefined);
+    });
+});
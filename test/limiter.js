@@ -0,0 +1,81 @@
+'use strict';
+const assert = require('assert');
+require('./support');
+const LuciusHarness = require('../testing/harness');
+const LuciusLimiter = require('../modules/limiter');
+const util = require('../modules/util');
+
+describe('limits', function () {
+    it('caps the executions and rejects what does not fit in the queue', async function () {
+        const harness = new LuciusHarness();
+        let running = 0;
+        let most = 0;
+        harness.register('role:reports,cmd:generate', async function (responder) {
+            running++;
+            most = Math.max(most, running);
+            await util.sleep(10);
+            running--;
+            return responder.success({});
+        }, {limits: {concurrency: 1, queue: 2}});
+        const messages = await Promise.all([1, 2, 3, 4].map(() => harness.call('role:reports,cmd:generate')));
+        assert.strictEqual(most, 1);
+        messages.slice(0, 3).forEach(message => harness.expectSuccess(message));
+        harness.expectFailure(messages[3], 'RATE_LIMITED');
+    });
+
+    it('does not run queued messages that timed out', async function () {
+        const harness = new LuciusHarness();
+        let runs = 0;
+        harness.register('role:reports,cmd:generate', async function (responder) {
+            runs++;
+            await util.sleep(60);
+            return responder.success({});
+        }, {timeout: 30, limits: {concurrency: 1, queue: 5}});
+        const codes = await Promise.all([1, 2].map(() => harness.call('role:reports,cmd:generate').then(
+            () => null,
+            e => e.code
+        )));
+        await util.sleep(100);
+        assert.deepStrictEqual(codes, ['HANDLER_TIMEOUT', 'HANDLER_TIMEOUT']);
+        assert.strictEqual(runs, 1);
+    });
+
+    it('limits the rate per user, and says when to retry', async function () {
+        const harness = new LuciusHarness();
+        harness.register('role:search,cmd:query', async function (responder) {
+            return responder.success({});
+        }, {limits: {rate: {limit: 2, interval: 1000}, perUser: true}});
+        const jane = {user: {id: 'jane'}};
+        harness.expectSuccess(await harness.call('role:search,cmd:query', {}, jane));
+        harness.expectSuccess(await harness.call('role:search,cmd:query', {}, jane));
+        const [error] = harness.expectFailure(await harness.call('role:search,cmd:query', {}, jane), 'RATE_LIMITED');
+        assert.deepStrictEqual(error.details, [{retryAfter: 1}]);
+        harness.expectSuccess(await harness.call('role:search,cmd:query', {}, {user: {id: 'john'}}));
+    });
+
+    it('counts neither denied nor replayed messages', async function () {
+        const harness = new LuciusHarness();
+        let runs = 0;
+        harness.register('role:orders,cmd:create', async function (responder) {
+            runs++;
+            return responder.success({id: runs});
+        }, {authorize: ['buyer'], idempotency: true, limits: {rate: {limit: 1, interval: 1000}}});
+        const buyer = {user: {id: 'jane', roles: ['buyer']}};
+        harness.expectFailure(await harness.call('role:orders,cmd:create', {}, {user: {id: 'john'}}), 'FORBIDDEN');
+        harness.expectSuccess(await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, buyer));
+        harness.expectSuccess(await harness.call('role:orders,cmd:create', {idempotencyKey: 'a'}, buyer));
+        harness.expectFailure(await harness.call('role:orders,cmd:create', {idempotencyKey: 'b'}, buyer), 'RATE_LIMITED');
+        assert.strictEqual(runs, 1);
+    });
+
+    it('forgets the states of idle users', async function () {
+        const limiter = new LuciusLimiter('role:search,cmd:query', {rate: {limit: 10, interval: 20}, perUser: true});
+        for (let i = 0; i < 100; i++) {
+            (await limiter.acquire({}, {user: {id: i}}))();
+        }
+        assert.strictEqual(limiter.states.size, 100);
+        await util.sleep(30);
+        (await limiter.acquire({}, {user: {id: 'jane'}}))();
+        assert.strictEqual(limiter.states.size, 1);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const locale = require('../error/locale');
+const Lucius = require('../modules/lucius');
+
+Lucius.defineErrors({
+    LOCALE_TEST: {message: {en: 'User {id} not found.', ro: 'Utilizatorul {id} nu există.'}},
+    LOCALE_TEST_RO: {message: {ro: 'Doar în română.'}},
+});
+
+// collects the warnings given to it, in place of the shared logger
+const recordingLogger = () => {
+    const warnings = [];
+    return {warnings, warning: {format: (...args) => warnings.push(args)}};
+};
+
+describe('error locales', function () {
+    it('interpolates the default locale', function () {
+        const e = new LuciusError(E.LOCALE_TEST, {id: 7});
+        assert.strictEqual(e.message, 'User 7 not found.');
+        assert.strictEqual(e.locale, 'en');
+    });
+
+    it('leaves placeholders without values untouched', function () {
+        assert.strictEqual(locale.interpolate('{a} and {b}', {a: 1}), '1 and {b}');
+    });
+
+    it('localizes on demand', function () {
+        const e = new LuciusError(E.LOCALE_TEST, {id: 7}).localize('ro');
+        assert.strictEqual(e.message, 'Utilizatorul 7 nu există.');
+        assert.strictEqual(e.locale, 'ro');
+    });
+
+    it('falls back and warns the given logger about missing translations', function () {
+        const log = recordingLogger();
+        const e = new LuciusError(E.LOCALE_TEST, {id: 7}).localize('fr', log);
+        assert.strictEqual(e.message, 'User 7 not found.');
+        assert.strictEqual(e.locale, 'en');
+        assert.deepStrictEqual(log.warnings, [['LUCIUS', 'LOCALE', 'LOCALE_TEST', 'missing \'fr\', using \'en\'']]);
+    });
+
+    it('falls back to the first locale when the default is missing too', function () {
+        const log = recordingLogger();
+        const e = new LuciusError(E.LOCALE_TEST_RO).localize('fr', log);
+        assert.strictEqual(e.locale, 'ro');
+        assert.strictEqual(log.warnings.length, 1);
+    });
+
+    it('refuses malformed locale maps', function () {
+        assert.throws(() => Lucius.defineErrors({LOCALE_TEST_EMPTY: {message: {}}}), /has no locales/);
+        assert.throws(() => Lucius.defineErrors({LOCALE_TEST_BAD: {message: {en: 42}}}),
+            /Message 'en' for error LOCALE_TEST_BAD is not a string or function/);
+    });
+
+    it('localizes failures according to the session locale', async function () {
+        const seneca = createSeneca();
+        const lucius = new Lucius(seneca);
+        lucius.register('role:localeTest', async (respond, args) => respond.failure(new LuciusError(E.LOCALE_TEST, args)));
+        try {
+            const message = await lucius.request('role:localeTest', {id: 3}, {locale: 'ro'});
+            assert.deepStrictEqual(message.getErrors().map(e => [e.code, e.message, e.locale]),
+                [['LOCALE_TEST', 'Utilizatorul 3 nu există.', 'ro']]);
+        }
+        finally {
+            seneca.close();
+        }
+    });
+});
@@ -0,0 +1,73 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+const logger = require('../modules/logger');
+
+Lucius.defineErrors({LOGGER_TEST_FAILED: {message: {en: 'Failed.'}}});
+
+// logger with the usual level names, which keeps what it is given
+const recordingLogger = () => {
+    const lines = [];
+    const log = level => (...params) => lines.push({level, params});
+    return {lines, error: log('error'), warn: log('warn'), info: log('info'), debug: log('debug')};
+};
+
+describe('logger', function () {
+    let seneca;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('logs through the instance logger', async function () {
+        const target = recordingLogger();
+        const lucius = new Lucius(seneca, {logger: target});
+        lucius.register('role:loggerTest', async respond => respond.success());
+        await lucius.request('role:loggerTest', {id: 1});
+        const entered = target.lines.find(({params}) => params[0].startsWith('SENECA: [ENTER] role:loggerTest'));
+        assert.strictEqual(entered.level, 'debug');
+        assert.ok(/"id":1/.test(entered.params[0]));
+        assert.ok(/\[trace:[\da-f]{32} span:[\da-f]{16}\]$/.test(entered.params[0]));
+    });
+
+    it('reports missing translations and unanswered handlers to the instance logger', async function () {
+        const target = recordingLogger();
+        const lucius = new Lucius(seneca, {logger: target});
+        lucius.register('role:loggerTest,cmd:fail', async respond => respond.failure(new LuciusError(E.LOGGER_TEST_FAILED)));
+        lucius.register('role:loggerTest,cmd:late', async respond => {
+            setTimeout(() => respond.success(), 10);
+        });
+        await lucius.request('role:loggerTest,cmd:fail', {}, {locale: 'fr'});
+        await lucius.request('role:loggerTest,cmd:late');
+        const warnings = target.lines.filter(({level}) => level === 'warn').map(({params}) => params[0]);
+        assert.deepStrictEqual(warnings.map(line => line.split(' ').slice(0, 3).join(' ')), [
+            'LUCIUS: [LOCALE] LOGGER_TEST_FAILED',
+            'SENECA: [NO-RESPONSE] role:loggerTest,cmd:late',
+        ]);
+    });
+
+    it('logs JSON records', function () {
+        const target = recordingLogger();
+        const wrapped = logger.wrap(target, {format: 'json'});
+        const trace = {traceId: 'a'.repeat(32), spanId: 'b'.repeat(16)};
+        wrapped.fatal.format('SENECA', 'CRASH', 'role:loggerTest', {id: 1, __: {trace}}, new LuciusError(E.LOGGER_TEST_FAILED));
+        const [{level, params}] = target.lines;
+        const record = JSON.parse(params[0]);
+        assert.strictEqual(level, 'error');
+        assert.deepStrictEqual([record.level, record.action, record.pattern, record.code, record.traceId, record.spanId],
+            ['fatal', 'CRASH', 'role:loggerTest', 'LOGGER_TEST_FAILED', trace.traceId, trace.spanId]);
+        assert.ok(record.extra[0].startsWith('LuciusError: [LOGGER_TEST_FAILED] Failed.'));
+    });
+
+    it('wraps loggers only once, and refuses incomplete ones', function () {
+        const wrapped = logger.wrap(recordingLogger());
+        assert.strictEqual(logger.wrap(wrapped), wrapped);
+        assert.throws(() => logger.wrap({info() {}}), /Logger has no method for level 'fatal'/);
+    });
+});
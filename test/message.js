@@ -0,0 +1,75 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const LuciusMessage = require('../modules/message');
+
+const FAILURE_V1 = {success: false, errors: [{code: 'VALIDATION_FAILED', message: 'Invalid.'}], payload: null};
+
+describe('message envelopes', function () {
+    it('upgrades version 1 envelopes', function () {
+        const message = new LuciusMessage(FAILURE_V1);
+        assert.strictEqual(message.getVersion(), LuciusMessage.getCurrentVersion());
+        assert.strictEqual(message.containsError('VALIDATION_FAILED'), true);
+        assert.deepStrictEqual(message.getMeta(), {});
+    });
+
+    it('keeps the metadata through export and re-import, but not in version 1', function () {
+        const message = new LuciusMessage().setPayload({id: 1}).setMeta('page', {next: 2});
+        const copy = new LuciusMessage(JSON.parse(JSON.stringify(message.export())));
+        assert.deepStrictEqual(copy.getMeta('page'), {next: 2});
+        copy.setMeta('page', undefined);
+        assert.deepStrictEqual(copy.getMeta(), {});
+        assert.deepStrictEqual(message.export(1), {success: true, errors: [], payload: {id: 1}});
+    });
+
+    it('makes the best of malformed envelopes unless strict', function () {
+        const lenient = new LuciusMessage({success: true, errors: FAILURE_V1.errors, payload: 1, extra: true});
+        assert.deepStrictEqual([lenient.isSuccessful(), lenient.getErrors(), lenient.export().extra], [true, [], undefined]);
+        assert.throws(() => new LuciusMessage({success: true, errors: FAILURE_V1.errors, payload: 1}, {strict: true}),
+            {name: 'TypeError', message: 'Malformed message envelope: successful messages can only have per-item errors.'});
+        assert.throws(() => new LuciusMessage({version: 99, success: 'yes', errors: [{}], extra: true}, {strict: true}),
+            {message: 'Malformed message envelope: unknown version 99, "success" must be boolean, '
+                + 'error at index 0 must have string "code" and "message", "payload" is missing, unknown key "extra".'});
+        assert.doesNotThrow(() => new LuciusMessage(FAILURE_V1, {strict: true}));
+    });
+
+    it('refuses malformed and duplicate migrations', function () {
+        const noop = content => content;
+        assert.throws(() => LuciusMessage.registerMigration(0, {upgrade: noop, downgrade: noop}), TypeError);
+        assert.throws(() => LuciusMessage.registerMigration(2, {upgrade: noop}), TypeError);
+        assert.throws(() => LuciusMessage.registerMigration(1, {upgrade: noop, downgrade: noop}), /already registered/);
+        assert.throws(() => new LuciusMessage().export(50), /Cannot migrate message envelope/);
+    });
+
+    describe('between services', function () {
+        let seneca;
+
+        beforeEach(function () {
+            seneca = createSeneca();
+        });
+
+        afterEach(function () {
+            seneca.close();
+        });
+
+        it('answers with the trace in the metadata, in the configured version', async function () {
+            const lucius = new Lucius(seneca);
+            lucius.register('role:messageTest,cmd:get', async respond => respond.success({id: 1}));
+            const message = await lucius.request('role:messageTest,cmd:get');
+            assert.strictEqual(typeof message.getMeta('trace').traceId, 'string');
+            const legacy = new Lucius(seneca, {messageVersion: 1});
+            legacy.register('role:messageTest,cmd:legacy', async respond => respond.success({id: 1}));
+            const raw = await legacy.act('role:messageTest,cmd:legacy', {});
+            assert.deepStrictEqual([raw.version, raw.meta, raw.payload], [undefined, undefined, {id: 1}]);
+        });
+
+        it('fails requests answered with malformed envelopes in strict mode', async function () {
+            const lucius = new Lucius(seneca, {strictMessages: true});
+            lucius.register('role:messageTest,cmd:get', async respond => respond.success({id: 1}));
+            seneca.add('role:messageTest,cmd:broken', (args, done) => done(null, {success: 'yes', payload: 1}));
+            assert.deepStrictEqual((await lucius.request('role:messageTest,cmd:get')).getPayload(), {id: 1});
+            await assert.rejects(lucius.request('role:messageTest,cmd:broken'), {name: 'TypeError'});
+        });
+    });
+});
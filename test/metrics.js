@@ -0,0 +1,76 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+const LuciusMetrics = require('../modules/metrics');
+
+Lucius.defineErrors({METRICS_TEST_FAILED: {message: () => 'Failed.'}});
+
+describe('metrics', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        lucius.register('role:metricsTest,cmd:ok', async respond => respond.success());
+        lucius.register('role:metricsTest,cmd:fail', async respond => respond.failure(new LuciusError(E.METRICS_TEST_FAILED)));
+        lucius.register('role:metricsTest,cmd:crash', async () => {
+            throw new Error('crash');
+        });
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('counts outcomes and error codes in both directions', async function () {
+        await lucius.request('role:metricsTest,cmd:ok');
+        await lucius.request('role:metricsTest,cmd:ok');
+        await lucius.request('role:metricsTest,cmd:fail');
+        await assert.rejects(lucius.request('role:metricsTest,cmd:crash'));
+        const {inbound, outbound} = lucius.metrics();
+        assert.deepStrictEqual(
+            ['ok', 'fail', 'crash'].map(cmd => inbound[`role:metricsTest,cmd:${cmd}`])
+                .map(({count, success, failure, fatal}) => [count, success, failure, fatal]),
+            [[2, 2, 0, 0], [1, 0, 1, 0], [1, 0, 0, 1]]
+        );
+        assert.deepStrictEqual(inbound['role:metricsTest,cmd:fail'].errors, {METRICS_TEST_FAILED: 1});
+        assert.deepStrictEqual(outbound['role:metricsTest,cmd:fail'].errors, {METRICS_TEST_FAILED: 1});
+        assert.strictEqual(outbound['role:metricsTest,cmd:crash'].fatal, 1);
+    });
+
+    it('keeps cumulative latency buckets', function () {
+        const metrics = new LuciusMetrics({buckets: [0.1, 0.01]});
+        metrics.record('inbound', 'role:x', 'success', 5);
+        metrics.record('inbound', 'role:x', 'success', 50);
+        metrics.record('inbound', 'role:x', 'success', 5000);
+        assert.deepStrictEqual(metrics.snapshot().inbound['role:x'].latency.buckets,
+            [{le: 0.01, count: 1}, {le: 0.1, count: 2}, {le: '+Inf', count: 3}]);
+    });
+
+    it('serializes to the Prometheus text format', function () {
+        const metrics = new LuciusMetrics({buckets: [1]});
+        metrics.record('outbound', 'role:"quoted"', 'failure', 500, ['SOME_CODE']);
+        const lines = metrics.toPrometheus('test').split('\n');
+        assert.ok(lines.includes('# TYPE test_requests_total counter'));
+        assert.ok(lines.includes('test_requests_total{direction="outbound",pattern="role:\\"quoted\\"",outcome="failure"} 1'));
+        assert.ok(lines.includes('test_errors_total{direction="outbound",pattern="role:\\"quoted\\"",code="SOME_CODE"} 1'));
+        assert.ok(lines.includes('test_request_duration_seconds_bucket{direction="outbound",pattern="role:\\"quoted\\"",le="+Inf"} 1'));
+        assert.ok(lines.includes('test_request_duration_seconds_sum{direction="outbound",pattern="role:\\"quoted\\""} 0.5'));
+    });
+
+    it('shares a collector between instances, or disables it', async function () {
+        const shared = new LuciusMetrics();
+        const first = new Lucius(seneca, {metrics: shared});
+        const second = new Lucius(seneca, {metrics: shared});
+        await first.request('role:metricsTest,cmd:ok');
+        await second.request('role:metricsTest,cmd:ok');
+        assert.strictEqual(shared.snapshot().outbound['role:metricsTest,cmd:ok'].count, 2);
+        const disabled = new Lucius(seneca, {metrics: false});
+        await disabled.request('role:metricsTest,cmd:ok');
+        assert.strictEqual(disabled.metrics(), null);
+        assert.strictEqual(disabled.prometheusMetrics(), '');
+    });
+});
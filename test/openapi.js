@@ -0,0 +1,131 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const generateOpenApi = require('../modules/openapi');
+const {toOpenApiSchema} = generateOpenApi;
+
+Lucius.defineErrors({
+    OPENAPI_TEST_MISSING: {message: () => 'Missing.', httpStatus: 404},
+    OPENAPI_TEST_CONFLICT: {message: () => 'Conflict.', httpStatus: 409},
+    OPENAPI_TEST_REFUSED: {message: () => 'Refused.'},
+});
+
+const ADDRESS = {type: 'object', properties: {city: {type: 'string'}}};
+
+describe('OpenAPI', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        const handler = async respond => respond.success();
+        lucius.register('role:openapiTest,cmd:get', handler, {
+            description: 'Get a user.',
+            input: {
+                type: 'object',
+                required: ['id'],
+                properties: {id: {type: 'string'}, fields: {type: 'string'}},
+            },
+            output: {
+                type: 'object',
+                properties: {name: {type: 'string'}, address: {$ref: '#/definitions/Address'}},
+                definitions: {Address: ADDRESS},
+            },
+            errors: ['OPENAPI_TEST_MISSING', 'OPENAPI_TEST_CONFLICT', 'OPENAPI_TEST_REFUSED'],
+        });
+        lucius.register('role:openapiTest,cmd:move', handler, {
+            input: {
+                type: 'object',
+                properties: {to: {$ref: '#/$defs/Address'}},
+                $defs: {Address: {type: 'object', properties: {street: {type: 'string'}}}},
+            },
+        });
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('converts JSON schema keywords', function () {
+        assert.deepStrictEqual(toOpenApiSchema(JSON.stringify({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                kind: {const: 'user'},
+                age: {type: ['integer', 'null'], exclusiveMinimum: 0},
+                pin: {type: 'string', sensitive: true, examples: ['1234']},
+                id: {type: ['string', 'integer']},
+                pair: {type: 'array', items: [{type: 'string'}, {type: 'number'}]},
+            },
+        })), {
+            type: 'object',
+            properties: {
+                kind: {enum: ['user']},
+                age: {type: 'integer', nullable: true, minimum: 0, exclusiveMinimum: true},
+                pin: {type: 'string', 'x-sensitive': true, example: '1234'},
+                id: {anyOf: [{type: 'string'}, {type: 'integer'}]},
+                pair: {type: 'array', items: {anyOf: [{type: 'string'}, {type: 'number'}]}},
+            },
+        });
+        assert.strictEqual(toOpenApiSchema(null), null);
+    });
+
+    it('replaces local references with what they point to when there are no components', function () {
+        const node = {
+            type: 'object',
+            properties: {
+                address: {$ref: '#/definitions/Address'},
+                child: {$ref: '#'},
+                remote: {$ref: 'https://example.com/schema.json'},
+            },
+            definitions: {Address: ADDRESS},
+        };
+        const converted = toOpenApiSchema(node);
+        assert.deepStrictEqual(converted.properties.address, ADDRESS);
+        assert.deepStrictEqual(converted.properties.remote, {$ref: 'https://example.com/schema.json'});
+        // recursive references are expanded once
+        assert.deepStrictEqual(converted.properties.child.properties.child, {});
+        assert.strictEqual(converted.definitions, undefined);
+    });
+
+    it('moves definitions to the components and rewrites the references to them', function () {
+        const doc = generateOpenApi(lucius);
+        const get = doc.paths['/role:openapiTest,cmd:get'].post;
+        const move = doc.paths['/role:openapiTest,cmd:move'].post;
+        const payload = get.responses[200].content['application/json'].schema.properties.payload;
+        assert.deepStrictEqual(payload.properties.address, {$ref: '#/components/schemas/Address'});
+        assert.deepStrictEqual(doc.components.schemas.Address, ADDRESS);
+        // another definition with the same name gets another component
+        const to = move.requestBody.content['application/json'].schema.properties.to;
+        assert.deepStrictEqual(to, {$ref: '#/components/schemas/Address_2'});
+        assert.deepStrictEqual(doc.components.schemas.Address_2.properties, {street: {type: 'string'}});
+        assert.ok(doc.components.schemas.LuciusError);
+    });
+
+    it('describes the message API, with the declared errors', function () {
+        const doc = generateOpenApi(lucius, {info: {title: 'Users'}});
+        assert.deepStrictEqual([doc.openapi, doc.info], ['3.0.0', {title: 'Users', version: '1.0.0'}]);
+        const get = doc.paths['/role:openapiTest,cmd:get'].post;
+        assert.strictEqual(get.summary, 'Get a user.');
+        assert.deepStrictEqual(get.responses[200]['x-lucius-errors'].map(({code}) => code),
+            ['OPENAPI_TEST_MISSING', 'OPENAPI_TEST_CONFLICT', 'OPENAPI_TEST_REFUSED', 'VALIDATION_FAILED']);
+    });
+
+    it('describes routes, grouping the errors by HTTP status', function () {
+        const doc = generateOpenApi(lucius, {
+            routes: {'GET /users/:id': {pattern: 'role:openapiTest,cmd:get'}},
+            statuses: {OPENAPI_TEST_CONFLICT: 410},
+        });
+        const get = doc.paths['/users/{id}'].get;
+        assert.strictEqual(get['x-seneca-pattern'], 'role:openapiTest,cmd:get');
+        assert.deepStrictEqual(get.parameters.map(({name, in: where, required}) => [name, where, required]),
+            [['id', 'path', true], ['fields', 'query', false]]);
+        assert.deepStrictEqual(Object.keys(get.responses).sort(), ['200', '400', '404', '410', '500']);
+        assert.deepStrictEqual(get.responses[400]['x-lucius-errors'].map(({code}) => code),
+            ['OPENAPI_TEST_REFUSED', 'VALIDATION_FAILED']);
+        assert.deepStrictEqual(get.responses[410]['x-lucius-errors'].map(({code, httpStatus}) => [code, httpStatus]),
+            [['OPENAPI_TEST_CONFLICT', 410]]);
+    });
+});
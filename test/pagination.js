@@ -0,0 +1,78 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError, LuciusSmuggleError} = require('../error');
+const Lucius = require('../modules/lucius');
+
+const USERS = ['ann', 'bob', 'cid', 'dan', 'eve'];
+
+describe('pagination', function () {
+    let seneca;
+    let lucius;
+    let requests;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        requests = [];
+        lucius.register('role:pageTest,cmd:list', async function (responder, args) {
+            requests.push(args.cursor);
+            const start = args.cursor || 0;
+            if (start > USERS.length) {
+                return responder.failure(new LuciusError(E.VALIDATION_FAILED));
+            }
+            const end = start + args.limit;
+            return responder.page(USERS.slice(start, end), {cursor: end < USERS.length ? end : null});
+        }, {output: {type: 'array', items: {type: 'string'}}});
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('answers pages with the cursor of the next one', async function () {
+        const message = await lucius.request('role:pageTest,cmd:list', {limit: 2});
+        assert.deepStrictEqual(message.getPayload(), ['ann', 'bob']);
+        assert.deepStrictEqual(message.getMeta('pagination'), {cursor: 2, hasMore: true});
+        const last = await lucius.request('role:pageTest,cmd:list', {limit: 2, cursor: 4});
+        assert.deepStrictEqual(last.getMeta('pagination'), {cursor: null, hasMore: false});
+    });
+
+    it('iterates through all the pages', async function () {
+        const users = [];
+        for await (const user of lucius.iterate('role:pageTest,cmd:list', {limit: 2})) {
+            users.push(user);
+        }
+        assert.deepStrictEqual(users, USERS);
+        assert.deepStrictEqual(requests, [undefined, 2, 4]);
+    });
+
+    it('stops early when the consumer does', async function () {
+        for await (const user of lucius.iterate('role:pageTest,cmd:list', {limit: 2})) {
+            if (user === 'ann') {
+                break;
+            }
+        }
+        assert.deepStrictEqual(requests, [undefined]);
+    });
+
+    it('throws the failure of a page', async function () {
+        const iterator = lucius.iterate('role:pageTest,cmd:list', {limit: 2, cursor: 9});
+        await assert.rejects(iterator.next(), e => e instanceof LuciusSmuggleError
+            && e.message.containsError('VALIDATION_FAILED'));
+    });
+
+    it('refuses pages that repeat their cursor', async function () {
+        lucius.register('role:pageTest,cmd:stuck', async responder => responder.page([1], {cursor: 'same'}));
+        const iterator = lucius.iterate('role:pageTest,cmd:stuck', {cursor: 'same'});
+        assert.deepStrictEqual(await iterator.next(), {value: 1, done: false});
+        await assert.rejects(iterator.next(), /same cursor/);
+    });
+
+    it('validates the page items against the output schema', async function () {
+        lucius.register('role:pageTest,cmd:broken', async responder => responder.page([1, 2]),
+            {output: {type: 'array', items: {type: 'string'}}});
+        const message = await lucius.request('role:pageTest,cmd:broken');
+        assert.strictEqual(message.containsError('INVALID_OUTPUT'), true);
+    });
+});
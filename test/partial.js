@@ -0,0 +1,88 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+const LuciusMessage = require('../modules/message');
+const createGateway = require('../middleware/gateway');
+
+Lucius.defineErrors({
+    PARTIAL_TEST_INVALID: {message: {en: () => 'Invalid item.', ro: () => 'Element invalid.'}},
+    PARTIAL_TEST_DEPRECATED: {message: ({name}) => `'${name}' is deprecated.`},
+});
+
+describe('warnings and partial success', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        lucius.register('role:partialTest,cmd:import', async function (responder, args) {
+            if (args.legacy) {
+                responder.warn(new LuciusError(E.PARTIAL_TEST_DEPRECATED, {name: 'legacy'}));
+            }
+            const errors = [];
+            const created = args.users.map((user, index) => {
+                if (!user.name) {
+                    errors[index] = new LuciusError(E.PARTIAL_TEST_INVALID);
+                    return null;
+                }
+                return {id: index};
+            });
+            return responder.partial(created, errors);
+        });
+        lucius.register('role:partialTest,cmd:fail', async function (responder) {
+            responder.warn(new LuciusError(E.PARTIAL_TEST_DEPRECATED, {name: 'fail'}), 'args.fail');
+            return responder.failure(new LuciusError(E.VALIDATION_FAILED));
+        });
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('answers with the payload and the errors of some items', async function () {
+        const message = await lucius.request('role:partialTest,cmd:import', {users: [{name: 'Jane'}, {}]}, {locale: 'ro'});
+        assert.strictEqual(message.isSuccessful(), true);
+        assert.strictEqual(message.isPartial(), true);
+        assert.deepStrictEqual(message.getPayload(), [{id: 0}, null]);
+        assert.deepStrictEqual(message.getItemErrors().map(({code, message, path}) => [code, message, path]),
+            [['PARTIAL_TEST_INVALID', 'Element invalid.', 1]]);
+        assert.strictEqual(message.containsError('PARTIAL_TEST_INVALID'), true);
+        const full = await lucius.request('role:partialTest,cmd:import', {users: [{name: 'Jane'}]});
+        assert.deepStrictEqual([full.isSuccessful(), full.isPartial()], [true, false]);
+    });
+
+    it('adds warnings to any response', async function () {
+        const success = await lucius.request('role:partialTest,cmd:import', {users: [], legacy: true});
+        assert.deepStrictEqual(success.getWarnings().map(({code, message}) => [code, message]),
+            [['PARTIAL_TEST_DEPRECATED', "'legacy' is deprecated."]]);
+        assert.strictEqual(success.containsError('PARTIAL_TEST_DEPRECATED'), false);
+        assert.strictEqual(success.containsError('PARTIAL_TEST_DEPRECATED', true), true);
+        const failure = await lucius.request('role:partialTest,cmd:fail');
+        assert.strictEqual(failure.isSuccessful(), false);
+        assert.strictEqual(failure.getWarnings()[0].path, 'args.fail');
+    });
+
+    it('keeps the per-item errors of envelopes, even in strict mode', function () {
+        const envelope = new LuciusMessage().setPayload([null])
+            .setItemError({code: 'PARTIAL_TEST_INVALID', message: 'Invalid item.', path: 0}).export();
+        const message = new LuciusMessage(JSON.parse(JSON.stringify(envelope)), {strict: true});
+        assert.strictEqual(message.isPartial(), true);
+        message.setSuccess();
+        assert.strictEqual(message.getItemErrors().length, 1);
+        assert.throws(() => message.setItemError({code: 'PARTIAL_TEST_INVALID', message: 'Invalid item.'}), TypeError);
+    });
+
+    it('answers partial successes with 207 and warnings in a header over HTTP', async function () {
+        const headers = {};
+        const res = {setHeader: (name, value) => Object.assign(headers, {[name]: value})};
+        res.status = status => Object.assign(res, {statusCode: status});
+        res.json = body => Object.assign(res, {body});
+        await createGateway().express('role:partialTest,cmd:import', {users: [{}], legacy: true})({seneca}, res);
+        assert.strictEqual(res.statusCode, 207);
+        assert.deepStrictEqual([res.body.success, res.body.payload, res.body.errors[0].path], [true, [null], 0]);
+        assert.strictEqual(headers.Warning, '299 - "PARTIAL_TEST_DEPRECATED"');
+    });
+});
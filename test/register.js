@@ -0,0 +1,101 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+
+const INPUT = {type: 'object', properties: {id: {type: 'integer'}}, required: ['id']};
+
+Lucius.defineErrors({REGISTER_TEST_DENIED: {message: () => 'Denied.'}});
+
+describe('register() options', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('runs the before hooks in order, ahead of validation and the handler', async function () {
+        const calls = [];
+        lucius.register('role:registerTest', async (respond, args, session) => {
+            calls.push('handler');
+            respond.success({id: args.id, user: session.user});
+        }, {
+            input: INPUT,
+            before: [
+                async (respond, args) => {
+                    calls.push('first');
+                    args.id = Number(args.id);
+                },
+                async (respond, args, session) => {
+                    calls.push('second');
+                    session.user = 'alice';
+                },
+            ],
+        });
+        const message = await lucius.request('role:registerTest', {id: '5'});
+        assert.deepStrictEqual(calls, ['first', 'second', 'handler']);
+        assert.deepStrictEqual(message.getPayload(), {id: 5, user: 'alice'});
+    });
+
+    it('skips the rest when a before hook responds', async function () {
+        let runs = 0;
+        lucius.register('role:registerTest', async respond => {
+            runs++;
+            respond.success();
+        }, {
+            before: [
+                async respond => respond.failure(new LuciusError(E.REGISTER_TEST_DENIED)),
+                async () => runs++,
+            ],
+        });
+        const message = await lucius.request('role:registerTest');
+        assert.strictEqual(runs, 0);
+        assert.ok(message.containsError('REGISTER_TEST_DENIED'));
+    });
+
+    it('runs the after hooks on the outgoing message', async function () {
+        lucius.register('role:registerTest', async respond => respond.success({a: 1}), {
+            after: [async (respond, message) => message.setPayload(Object.assign({b: 2}, message.getPayload()))],
+        });
+        const message = await lucius.request('role:registerTest');
+        assert.deepStrictEqual(message.getPayload(), {a: 1, b: 2});
+    });
+
+    it('turns a throwing after hook into a fatal error', async function () {
+        lucius.register('role:registerTest', async respond => respond.success(), {
+            after: [async () => {
+                throw new Error('after hook broke');
+            }],
+        });
+        await assert.rejects(lucius.request('role:registerTest'), /after hook broke/);
+    });
+
+    it('keeps the legacy positional schemas', async function () {
+        lucius.register('role:registerTest,as:string', async respond => respond.success(), JSON.stringify(INPUT));
+        lucius.register('role:registerTest,as:object', async respond => respond.success(), INPUT);
+        lucius.register('role:registerTest,as:pair', async respond => respond.success({}), null, {type: 'array'});
+        for (const as of ['string', 'object']) {
+            const message = await lucius.request(`role:registerTest,as:${as}`, {id: 'one'});
+            assert.ok(message.containsError('VALIDATION_FAILED'), as);
+        }
+        assert.ok((await lucius.request('role:registerTest,as:pair')).containsError('INVALID_OUTPUT'));
+    });
+
+    it('refuses unknown option keys', function () {
+        assert.throws(() => lucius.register('role:registerTest', async () => {}, {inptu: INPUT}),
+            /Unknown register\(\) option\(s\): inptu\./);
+        assert.throws(() => lucius.register('role:registerTest', async () => {}, {input: INPUT, type: 'object'}),
+            /Unknown register\(\) option\(s\): type\./);
+    });
+
+    it('refuses hooks that are not functions', function () {
+        assert.throws(() => lucius.register('role:registerTest', async () => {}, {before: ['nope']}), TypeError);
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const {E, LuciusError} = require('../error');
+const Lucius = require('../modules/lucius');
+
+Lucius.defineErrors({RETRY_TEST_FAILED: {message: () => 'Failed.'}});
+
+describe('retries and circuit breakers', function () {
+    let seneca;
+    let lucius;
+    let runs;
+
+    // handler that crashes the first `crashes` times it is called
+    const registerFlaky = crashes => {
+        lucius.register('role:retryTest', async respond => {
+            if (++runs <= crashes) {
+                throw new Error(`crash ${runs}`);
+            }
+            respond.success(runs);
+        });
+    };
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        runs = 0;
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('retries fatal errors', async function () {
+        registerFlaky(2);
+        lucius.setRetryPolicy('role:retryTest', {attempts: 3, delay: 1, jitter: 0});
+        const message = await lucius.request('role:retryTest');
+        assert.strictEqual(message.getPayload(), 3);
+    });
+
+    it('gives up after the last attempt', async function () {
+        registerFlaky(5);
+        lucius.setRetryPolicy('role:retryTest', {attempts: 2, delay: 1});
+        await assert.rejects(lucius.request('role:retryTest'));
+        assert.strictEqual(runs, 2);
+    });
+
+    it('does not retry failure messages', async function () {
+        lucius.register('role:retryTest', async respond => {
+            runs++;
+            respond.failure(new LuciusError(E.RETRY_TEST_FAILED));
+        });
+        lucius.setRetryPolicy('role:retryTest', {attempts: 3, delay: 1});
+        const message = await lucius.request('role:retryTest');
+        assert.ok(message.containsError('RETRY_TEST_FAILED'));
+        assert.strictEqual(runs, 1);
+    });
+
+    it('backs off exponentially up to the maximum delay', function () {
+        const policy = {attempts: 5, delay: 100, factor: 2, maxDelay: 300, jitter: 0};
+        assert.deepStrictEqual([1, 2, 3, 4].map(attempt => lucius.getRetryDelay(policy, attempt)), [100, 200, 300, 300]);
+        const jittered = lucius.getRetryDelay(Object.assign({}, policy, {jitter: 0.5}), 1);
+        assert.ok(jittered >= 50 && jittered <= 100);
+    });
+
+    it('refuses malformed retry policies', function () {
+        assert.throws(() => lucius.setRetryPolicy('role:retryTest', {attempts: 0}), TypeError);
+        assert.throws(() => lucius.setRetryPolicy('role:retryTest', {jitter: 2}), TypeError);
+    });
+
+    it('opens the breaker after consecutive fatal errors and fails fast', async function () {
+        registerFlaky(10);
+        lucius.setCircuitBreaker('role:retryTest', {threshold: 2, resetTimeout: 60000});
+        await assert.rejects(lucius.request('role:retryTest'));
+        await assert.rejects(lucius.request('role:retryTest'));
+        await assert.rejects(lucius.request('role:retryTest'), e => e instanceof LuciusError && e.code === 'CIRCUIT_OPEN');
+        assert.strictEqual(runs, 2);
+        assert.strictEqual(lucius.getCircuitBreakers()['role:retryTest'].state, 'open');
+    });
+
+    it('closes the breaker after a successful probe', async function () {
+        registerFlaky(1);
+        lucius.setCircuitBreaker('role:retryTest', {threshold: 1, resetTimeout: 10});
+        await assert.rejects(lucius.request('role:retryTest'));
+        assert.strictEqual(lucius.getCircuitBreakers()['role:retryTest'].state, 'open');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const message = await lucius.request('role:retryTest');
+        assert.strictEqual(message.getPayload(), 2);
+        assert.strictEqual(lucius.getCircuitBreakers()['role:retryTest'].failures, 0);
+        assert.strictEqual(lucius.getCircuitBreakers()['role:retryTest'].state, 'closed');
+    });
+
+    it('removes policies and breakers', async function () {
+        registerFlaky(1);
+        lucius.setRetryPolicy('role:retryTest', {attempts: 2, delay: 1});
+        lucius.setRetryPolicy('role:retryTest', null);
+        lucius.setCircuitBreaker('role:retryTest');
+        lucius.setCircuitBreaker('role:retryTest', null);
+        await assert.rejects(lucius.request('role:retryTest'));
+        assert.deepStrictEqual(lucius.getCircuitBreakers(), {});
+    });
+});
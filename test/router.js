@@ -0,0 +1,97 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const createRouter = require('../middleware/router');
+
+describe('router', function () {
+    let seneca;
+    let lucius;
+    let router;
+
+    const handle = (method, path, {query = {}, body} = {}) => {
+        const found = router.match(method, path);
+        return router.handle({headers: {}}, found.route, {path: found.params, query, body, headers: {}});
+    };
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+        router = createRouter({
+            'POST /users': {pattern: 'role:routerTest,cmd:create'},
+            'GET /users/:id': {pattern: 'role:routerTest,cmd:get'},
+            'GET /search': {pattern: 'role:routerTest,cmd:search', args: {q: 'query.q', agent: 'headers.user-agent'}},
+        }, {lucius});
+        lucius.register('role:routerTest,cmd:create', async (respond, args, session) => {
+            respond.success({args, user: session.user || null});
+        });
+        lucius.register('role:routerTest,cmd:search', async (respond, args) => respond.success(args));
+        lucius.register('role:routerTest,cmd:purge', async respond => respond.success({purged: true}));
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('matches methods and decodes path parameters', function () {
+        assert.deepStrictEqual(router.match('GET', '/users/j%C3%A9').params, {id: 'jé'});
+        assert.strictEqual(router.match('HEAD', '/users/1').route.pattern, 'role:routerTest,cmd:get');
+        assert.strictEqual(router.match('DELETE', '/users/1'), null);
+        assert.strictEqual(router.match('GET', '/elsewhere'), null);
+    });
+
+    it('maps the request parts to arguments', async function () {
+        const found = router.match('GET', '/search');
+        const {body} = await router.handle({headers: {}}, found.route,
+            {path: found.params, query: {q: 'jane', other: 1}, headers: {'user-agent': 'test'}});
+        assert.deepStrictEqual(body, {q: 'jane', agent: 'test'});
+    });
+
+    it('does not take the session info from the body', async function () {
+        const {status, body} = await handle('POST', '/users', {body: {__: {user: {id: 'evil', roles: ['admin']}}, name: 'Jane'}});
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body, {args: {name: 'Jane'}, user: null});
+    });
+
+    it('does not let the body or query change the pattern', async function () {
+        const {status, body} = await handle('POST', '/users', {query: {role: 'admin', seneca$: 1}, body: {cmd: 'purge', name: 'Jane'}});
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.args, {name: 'Jane'});
+    });
+
+    it('strips the core arguments in the gateway too', async function () {
+        const result = await router.handle({headers: {}}, Object.assign({}, router.routes[0], {
+            args: () => ({__: {user: {id: 'evil'}}, name: 'Jane'}),
+        }), {path: {}});
+        assert.deepStrictEqual(result.body, {args: {name: 'Jane'}, user: null});
+    });
+
+    it('answers malformed path parameters with VALIDATION_FAILED', async function () {
+        const found = router.match('GET', '/users/%E0%A4%A');
+        assert.strictEqual(found.params, null);
+        const {status, body} = await handle('GET', '/users/%E0%A4%A');
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.errors[0].code, 'VALIDATION_FAILED');
+    });
+
+    it('finds the input schema of handlers registered after the first request', async function () {
+        assert.strictEqual((await handle('GET', '/users/x')).status, 500);
+        lucius.register('role:routerTest,cmd:get', async (respond, args) => respond.success(args),
+            {input: {type: 'object', properties: {id: {type: 'string', pattern: '^\\d+$'}}}});
+        assert.strictEqual((await handle('GET', '/users/x')).status, 400);
+        assert.strictEqual((await handle('GET', '/users/42')).status, 200);
+    });
+
+    it('serves Express requests and passes on the others', async function () {
+        let passed = false;
+        const res = {};
+        res.status = status => Object.assign(res, {statusCode: status});
+        res.json = body => Object.assign(res, {body});
+        await router.express()({method: 'GET', url: '/search?q=jane', headers: {}}, res);
+        assert.deepStrictEqual([res.statusCode, res.body.q], [200, 'jane']);
+        router.express()({method: 'GET', url: '/elsewhere', headers: {}}, res, () => {
+            passed = true;
+        });
+        assert.ok(passed);
+    });
+});
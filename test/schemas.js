@@ -0,0 +1,60 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+
+const INPUT = {type: 'object', properties: {id: {type: 'integer'}}, required: ['id']};
+const OUTPUT = {type: 'object', properties: {name: {type: 'string'}}, required: ['name']};
+
+describe('register() schemas', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca);
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('answers valid requests', async function () {
+        lucius.register('role:schemaTest', async (respond, args) => respond.success({name: `user ${args.id}`}), INPUT, OUTPUT);
+        const message = await lucius.request('role:schemaTest', {id: 1});
+        assert.ok(message.isSuccessful());
+        assert.deepStrictEqual(message.getPayload(), {name: 'user 1'});
+    });
+
+    it('answers invalid input with VALIDATION_FAILED and its details', async function () {
+        let runs = 0;
+        lucius.register('role:schemaTest', async respond => {
+            runs++;
+            respond.success({name: 'never'});
+        }, INPUT);
+        const message = await lucius.request('role:schemaTest', {id: 'one'});
+        assert.strictEqual(runs, 0);
+        assert.ok(!message.isSuccessful());
+        const [error] = message.getErrors();
+        assert.strictEqual(error.code, 'VALIDATION_FAILED');
+        assert.deepStrictEqual(error.details.map(({path, keyword}) => [path, keyword]), [['.id', 'type']]);
+    });
+
+    it('answers invalid output with INVALID_OUTPUT', async function () {
+        lucius.register('role:schemaTest', async respond => respond.success({name: 42}), null, OUTPUT);
+        const message = await lucius.request('role:schemaTest');
+        assert.ok(message.containsError('INVALID_OUTPUT'));
+        assert.strictEqual(message.getErrors()[0].details[0].path, '.name');
+    });
+
+    it('accepts schemas given as JSON strings', async function () {
+        lucius.register('role:schemaTest', async respond => respond.success({}), JSON.stringify(INPUT));
+        const message = await lucius.request('role:schemaTest', {});
+        assert.ok(message.containsError('VALIDATION_FAILED'));
+    });
+
+    it('refuses malformed schemas when registering', function () {
+        assert.throws(() => lucius.register('role:schemaTest', async () => {}, '{not json'), SyntaxError);
+        assert.throws(() => lucius.register('role:schemaTest', async () => {}, {type: 'nope'}));
+    });
+});
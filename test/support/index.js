@@ -0,0 +1,17 @@
+'use strict';
+const Seneca = require('seneca');
+const logger = require('../../modules/logger');
+
+// Lucius logs to the console by default, so requiring this module silences the tests that don't
+// pass a logger (eg. the harness ones); tests that check the logs use loggers of their own
+logger.target.transports.console.silent = true;
+
+/**
+ * Create a Seneca instance for a test, with its own logs turned off. Close it when done.
+ * @returns {object}
+ */
+const createSeneca = () => Seneca({log: 'silent'});
+
+module.exports = {
+    createSeneca,
+};
@@ -0,0 +1,54 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const LuciusResponder = require('../modules/responder');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('handler timeouts', function () {
+    let seneca;
+    let lucius;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        lucius = new Lucius(seneca, {timeout: 50});
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('answers hung handlers with HANDLER_TIMEOUT', async function () {
+        lucius.register('role:timeoutTest', async () => {});
+        // Seneca keeps the message of the original error in its details
+        await assert.rejects(lucius.request('role:timeoutTest'), e => e.details.message === 'Handler did not respond within 50ms.');
+    });
+
+    it('lets handlers override the instance timeout', async function () {
+        lucius.register('role:timeoutTest', async respond => {
+            await delay(80);
+            respond.success('late but allowed');
+        }, {timeout: 0});
+        const message = await lucius.request('role:timeoutTest');
+        assert.strictEqual(message.getPayload(), 'late but allowed');
+    });
+
+    it('keeps the response of handlers that respond after resolving', async function () {
+        lucius.register('role:timeoutTest', async respond => {
+            setTimeout(() => respond.success('from a callback'), 10);
+        });
+        const message = await lucius.request('role:timeoutTest');
+        assert.strictEqual(message.getPayload(), 'from a callback');
+    });
+
+    it('only sends the first response', async function () {
+        let next = 0;
+        const responder = new LuciusResponder(lucius, () => next++, 'role:timeoutTest', {});
+        await responder.success('first');
+        await responder.success('second');
+        responder.fatal(new Error('third'));
+        assert.strictEqual(next, 1);
+        assert.ok(responder.hasResponded());
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+const assert = require('assert');
+const {createSeneca} = require('./support');
+const Lucius = require('../modules/lucius');
+const tracing = require('../modules/tracing');
+
+describe('tracing', function () {
+    let seneca;
+    let lucius;
+    let spans;
+
+    beforeEach(function () {
+        seneca = createSeneca();
+        spans = [];
+        lucius = new Lucius(seneca, {spanSink: span => spans.push(span)});
+    });
+
+    afterEach(function () {
+        seneca.close();
+    });
+
+    it('leaves the arguments of the caller alone', async function () {
+        const traces = [];
+        lucius.register('role:traceTest', async (respond, args, session) => {
+            traces.push(session.trace);
+            respond.success();
+        });
+        const args = {id: 42};
+        await lucius.request('role:traceTest', args, {user: {id: 'jane'}});
+        await lucius.request('role:traceTest', args, {user: {id: 'jane'}});
+        assert.deepStrictEqual(args, {id: 42});
+        assert.notStrictEqual(traces[0].traceId, traces[1].traceId);
+    });
+
+    it('continues the trace of the handled request in inquest()', async function () {
+        let inner;
+        lucius.register('role:traceTest,level:inner', async (respond, args, session) => {
+            inner = session.trace;
+            respond.success();
+        });
+        lucius.register('role:traceTest,level:outer', async respond => {
+            await respond.inquest('role:traceTest,level:inner');
+            respond.success();
+        });
+        const parent = tracing.child();
+        await lucius.request('role:traceTest,level:outer', {}, {trace: parent});
+        const [innerSpan, outerSpan] = spans;
+        assert.strictEqual(outerSpan.parentSpanId, parent.spanId);
+        assert.strictEqual(innerSpan.parentSpanId, outerSpan.spanId);
+        assert.strictEqual(inner.spanId, innerSpan.spanId);
+        assert.ok(spans.every(span => span.traceId === parent.traceId));
+    });
+
+    it('exports spans with their status and traceparent', async function () {
+        lucius.register('role:traceTest', async respond => respond.success());
+        await lucius.request('role:traceTest');
+        const [span] = spans;
+        assert.strictEqual(span.name, 'role:traceTest');
+        assert.strictEqual(span.status, 'success');
+        assert.strictEqual(span.traceparent, `00-${span.traceId}-${span.spanId}-01`);
+        assert.ok(span.endTime >= span.startTime);
+    });
+
+    it('ignores sinks that throw', async function () {
+        lucius = new Lucius(seneca, {spanSink: () => {
+            throw new Error('sink broke');
+        }});
+        lucius.register('role:traceTest', async respond => respond.success('fine'));
+        assert.strictEqual((await lucius.request('role:traceTest')).getPayload(), 'fine');
+    });
+
+    it('parses traceparent headers', function () {
+        const context = tracing.child();
+        assert.deepStrictEqual(tracing.fromTraceparent(tracing.toTraceparent(context)),
+            {traceId: context.traceId, spanId: context.spanId, parentSpanId: null});
+        assert.strictEqual(tracing.fromTraceparent('garbage'), null);
+    });
+});
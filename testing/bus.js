@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Parse a Seneca pattern string, eg. `role:users,cmd:get`, into an object.
+ * @param {string|object} pattern
+ * @returns {object}
+ */
+const parsePattern = pattern => {
+    if (pattern && typeof pattern === 'object') {
+        return Object.assign({}, pattern);
+    }
+    const parsed = {};
+    String(pattern).split(',').map(part => part.trim()).filter(part => part).forEach(part => {
+        const index = part.indexOf(':');
+        if (index === -1) {
+            throw new TypeError(`Invalid pattern part '${part}' in '${pattern}'.`);
+        }
+        parsed[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    });
+    return parsed;
+};
+
+/**
+ * In-memory stand-in for Seneca, implementing the parts of `add()` and `act()` that Lucius
+ * uses. Messages go to the handler whose pattern matches the most properties (eg. `role`
+ * and `cmd`); among equally specific ones, the last added wins, like in Seneca.
+ */
+class LuciusBus {
+    /**
+     * Creates an instance of LuciusBus.
+     * @memberof LuciusBus
+     */
+    constructor() {
+        this.handlers = [];
+        this.root = this;
+    }
+
+    /**
+     * Add a handler for a pattern.
+     * @param {string|object} pattern Seneca pattern, eg. `role:users,cmd:get`.
+     * @param {function} callback Callback(args, next), called with the bus as `this`.
+     * @returns {LuciusBus} Self-reference, like seneca.add().
+     * @memberof LuciusBus
+     */
+    add(pattern, callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`Handler for '${pattern}' must be a function.`);
+        }
+        this.handlers.push({pattern: parsePattern(pattern), callback});
+        return this;
+    }
+
+    /**
+     * Find the handler for a message.
+     * @param {object} message Message properties.
+     * @returns {?{pattern: object, callback: function}}
+     * @memberof LuciusBus
+     */
+    find(message) {
+        let found = null;
+        this.handlers.forEach(handler => {
+            const keys = Object.keys(handler.pattern);
+            const matches = keys.every(key => message.hasOwnProperty(key)
+                && String(message[key]) === String(handler.pattern[key]));
+            if (matches && (!found || keys.length >= Object.keys(found.pattern).length)) {
+                found = handler;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Whether a handler was added for a message or pattern.
+     * @param {string|object} pattern
+     * @returns {boolean}
+     * @memberof LuciusBus
+     */
+    has(pattern) {
+        return !!this.find(parsePattern(pattern));
+    }
+
+    /**
+     * Send a message, as `act(pattern, args, callback)`, `act(pattern, callback)` or `act(args, callback)`.
+     * The callback is always called asynchronously. Messages nobody handles fail with an
+     * error with code `act_not_found`, like in Seneca.
+     * @memberof LuciusBus
+     */
+    act(...params) {
+        const callback = typeof params[params.length - 1] === 'function' ? params.pop() : () => {};
+        const message = Object.assign({}, ...params.map(parsePattern));
+        setImmediate(() => {
+            const handler = this.find(message);
+            if (!handler) {
+                const e = new Error(`No handler found for '${Object.keys(message).filter(key => key !== '__')
+                    .map(key => `${key}:${message[key]}`).join(',')}'.`);
+                e.code = 'act_not_found';
+                return callback.call(this, e);
+            }
+            let done = false;
+            const next = (err, result) => {
+                if (!done) {
+                    done = true;
+                    callback.call(this, err || null, result);
+                }
+            };
+            try {
+                handler.callback.call(this, message, next);
+            } catch (e) {
+                next(e);
+            }
+        });
+        return this;
+    }
+}
+
+LuciusBus.parsePattern = parsePattern;
+
+module.exports = LuciusBus;
@@ -0,0 +1,138 @@
+'use strict';
+const assert = require('assert');
+const Lucius = require('../modules/lucius');
+const LuciusBus = require('./bus');
+const {isLuciusError} = require('../error');
+
+/**
+ * Describe a message for assertion failures.
+ * @param {LuciusMessage} message
+ * @returns {string}
+ */
+const summarize = message => message.isSuccessful()
+    ? 'a successful message'
+    : `a failure with ${message.getErrors().map(error => error.code).join(', ') || 'no errors'}`;
+
+/**
+ * Assert that a message is successful.
+ * @param {LuciusMessage} message
+ * @returns {any} The payload of the message.
+ * @throws {AssertionError}
+ */
+const expectSuccess = message => {
+    if (!message.isSuccessful()) {
+        assert.fail(`Expected a successful message, got ${summarize(message)}.`);
+    }
+    return message.getPayload();
+};
+
+/**
+ * Assert that a message is a failure that contains all the given error codes.
+ * @param {LuciusMessage} message
+ * @param {...string} codes Registry codes, eg. `E.NOT_FOUND.code` or `'NOT_FOUND'`.
+ * @returns {ErrorEntry[]} The errors of the message.
+ * @throws {AssertionError}
+ */
+const expectFailure = (message, ...codes) => {
+    if (message.isSuccessful() || !codes.every(code => message.containsError(code))) {
+        assert.fail(`Expected a failure with ${codes.join(', ') || 'any error'}, got ${summarize(message)}.`);
+    }
+    return message.getErrors();
+};
+
+/**
+ * Runs Lucius handlers on an in-memory bus instead of Seneca, for unit tests:
+ *
+ *     const harness = new LuciusHarness();
+ *     harness.register('role:users,cmd:get', handler, {input});
+ *     harness.stub('role:db,cmd:find', {id: 42, name: 'Jane'});
+ *     harness.expectSuccess(await harness.call('role:users,cmd:get', {id: 42}));
+ */
+class LuciusHarness {
+    /**
+     * Creates an instance of LuciusHarness.
+     * @param {object} [options={}] Options for the Lucius instance the handlers are registered
+     *   through (see Lucius). The `role:lucius,cmd:describe` pattern is left out by default.
+     * @memberof LuciusHarness
+     */
+    constructor(options = {}) {
+        this.bus = new LuciusBus();
+        this.lucius = new Lucius(this.bus, Object.assign({describe: false}, options));
+        // stubs go through their own instance, so they don't show up among the handlers
+        this.stubs = new Lucius(this.bus, {describe: false, metrics: false, logger: options.logger});
+    }
+
+    /**
+     * Register a handler, see Lucius.register().
+     * @returns {LuciusHarness} Self-reference, for method chaining.
+     * @memberof LuciusHarness
+     */
+    register(...params) {
+        this.lucius.register(...params);
+        return this;
+    }
+
+    /**
+     * Send a message to the handlers, see Lucius.request().
+     * @param {string} pattern Seneca message pattern.
+     * @param {object} [args={}] Message arguments.
+     * @param {object} [session={}] Session info, eg. `{user, locale}`.
+     * @returns {Promise<LuciusMessage>}
+     * @throws {LuciusError|Error} Fatal errors.
+     * @memberof LuciusHarness
+     */
+    call(pattern, args = {}, session = {}) {
+        return this.lucius.request(pattern, Object.assign({}, args), session);
+    }
+
+    /**
+     * Answer a pattern with a canned response, eg. to mock the downstream services a
+     * handler inquests. Stubs override the handlers registered for the same pattern.
+     * @param {string} pattern Seneca message pattern.
+     * @param {any} response One of:
+     *   - a LuciusError, or array of LuciusErrors, to answer with a failure message;
+     *   - any other Error, to answer with a fatal error;
+     *   - a (possibly async) function(args, session) returning any of these;
+     *   - anything else, to answer with a successful message with it as payload.
+     * @returns {{pattern: string, calls: Array<{args: object, session: object}>}} The stub,
+     *   which records the arguments and session info of every call.
+     * @memberof LuciusHarness
+     */
+    stub(pattern, response) {
+        const stub = {pattern, calls: []};
+        this.stubs.register(pattern, async function (responder, args, session) {
+            stub.calls.push({args, session});
+            const result = typeof response === 'function' ? await response(args, session) : response;
+            const errors = [].concat(result);
+            if (result && errors.length && errors.every(error => error && isLuciusError(error))) {
+                return responder.failure(result);
+            }
+            if (result instanceof Error) {
+                return responder.fatal(result);
+            }
+            return responder.success(result);
+        });
+        return stub;
+    }
+
+    /**
+     * Assert that a message is successful, see expectSuccess().
+     * @memberof LuciusHarness
+     */
+    expectSuccess(message) {
+        return expectSuccess(message);
+    }
+
+    /**
+     * Assert that a message is a failure with the given codes, see expectFailure().
+     * @memberof LuciusHarness
+     */
+    expectFailure(message, ...codes) {
+        return expectFailure(message, ...codes);
+    }
+}
+
+LuciusHarness.expectSuccess = expectSuccess;
+LuciusHarness.expectFailure = expectFailure;
+
+module.exports = LuciusHarness;